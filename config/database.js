@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import Group from '../models/Group.js';
 
 const connectDB = async () => {
   try {
@@ -15,6 +16,9 @@ const connectDB = async () => {
     
     console.log(`🍃 MongoDB Connected: ${conn.connection.host}`);
     console.log(`🗃️ Database Name: ${conn.connection.name}`);
+
+    // Seed the default page groups on a fresh database
+    await Group.ensureDefaults();
     
     // Connection event listeners
     mongoose.connection.on('error', (err) => {
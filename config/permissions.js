@@ -0,0 +1,68 @@
+// Roles, from most to least privileged
+export const ROLES = ['admin', 'editor', 'author', 'contributor', 'viewer'];
+
+// Actions that can be granted on each resource
+export const RESOURCE_ACTIONS = {
+  pages: ['read', 'create', 'update', 'delete', 'publish'],
+  tracks: ['read', 'create', 'update', 'delete'],
+  playlists: ['read', 'create', 'update', 'delete'],
+  contacts: ['read', 'delete'],
+  media: ['read', 'create', 'update', 'delete'],
+  users: ['read', 'create', 'update', 'delete']
+};
+
+// Every action on every resource, for any document
+const everything = Object.fromEntries(
+  Object.entries(RESOURCE_ACTIONS).map(([resource, actions]) => [
+    resource,
+    Object.fromEntries(actions.map(action => [action, 'any']))
+  ])
+);
+
+// What each role may do. 'any' applies to every document; 'own' only to documents the
+// user owns (pages and playlists they own, media they uploaded). Missing means denied.
+export const ROLE_PERMISSIONS = {
+  admin: everything,
+  editor: {
+    pages: { read: 'any', create: 'any', update: 'any', delete: 'any', publish: 'any' },
+    tracks: { read: 'any', create: 'any', update: 'any', delete: 'any' },
+    playlists: { read: 'any', create: 'any', update: 'any', delete: 'any' },
+    contacts: { read: 'any', delete: 'any' },
+    media: { read: 'any', create: 'any', update: 'any', delete: 'any' }
+  },
+  author: {
+    pages: { read: 'any', create: 'any', update: 'own', delete: 'own', publish: 'own' },
+    tracks: { read: 'any' },
+    playlists: { read: 'any', create: 'any', update: 'own', delete: 'own' },
+    media: { read: 'any', create: 'any', update: 'own', delete: 'own' }
+  },
+  contributor: {
+    pages: { read: 'any', create: 'any', update: 'own' },
+    tracks: { read: 'any' },
+    playlists: { read: 'any', create: 'any', update: 'own', delete: 'own' },
+    media: { read: 'any', create: 'any' }
+  },
+  viewer: {
+    pages: { read: 'any' },
+    tracks: { read: 'any' },
+    playlists: { read: 'any' },
+    media: { read: 'any' }
+  }
+};
+
+// Scope the user's role grants for an action: 'any', 'own' or null
+export const permissionScope = (user, resource, action) => {
+  return ROLE_PERMISSIONS[user?.role]?.[resource]?.[action] || null;
+};
+
+// Whether the role grants the action at all (on at least the user's own documents)
+export const can = (user, resource, action) => permissionScope(user, resource, action) !== null;
+
+// Whether the user may perform the action on a document owned by `ownerId`
+export const canOnDocument = (user, resource, action, ownerId) => {
+  const scope = permissionScope(user, resource, action);
+  if (scope === 'any') {
+    return true;
+  }
+  return scope === 'own' && Boolean(ownerId) && String(ownerId) === String(user._id);
+};
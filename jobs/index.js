@@ -0,0 +1,51 @@
+import { computeTrending } from './trending.js';
+import { reconcileMemberships } from './memberships.js';
+import { refreshSmartPlaylists, smartPlaylistIntervalMinutes } from './smartPlaylists.js';
+import { reconcileMediaCatalog, ensureMediaCatalog, mediaSyncIntervalMinutes } from './mediaCatalog.js';
+
+// Recurring background jobs. Each can also be triggered over HTTP by an admin
+// (or a platform cron) where a long-running process is not available. `atStart`, if
+// given, runs once when the jobs start.
+const JOBS = [
+  {
+    name: 'trending',
+    intervalMinutes: () => parseInt(process.env.TRENDING_INTERVAL_MINUTES) || 60,
+    run: computeTrending
+  },
+  {
+    name: 'smart-playlists',
+    intervalMinutes: smartPlaylistIntervalMinutes,
+    run: refreshSmartPlaylists
+  },
+  {
+    name: 'memberships',
+    intervalMinutes: () => 24 * 60,
+    run: reconcileMemberships
+  },
+  {
+    name: 'media-catalog',
+    intervalMinutes: mediaSyncIntervalMinutes,
+    run: reconcileMediaCatalog,
+    // A new deploy's listings read from the catalog, so fill it without waiting an interval
+    atStart: ensureMediaCatalog
+  }
+];
+
+const runJob = async (job, run = job.run) => {
+  try {
+    await run();
+    console.log(`⏱️ Job ${job.name} completed`);
+  } catch (error) {
+    console.error(`Error running job ${job.name}:`, error);
+  }
+};
+
+export const startJobs = () => {
+  for (const job of JOBS) {
+    if (job.atStart) {
+      runJob(job, job.atStart);
+    }
+    const timer = setInterval(() => runJob(job), job.intervalMinutes() * 60 * 1000);
+    timer.unref();
+  }
+};
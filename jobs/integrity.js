@@ -0,0 +1,108 @@
+import Track from '../models/Track.js';
+import Playlist from '../models/Playlist.js';
+import { reconcileMemberships } from './memberships.js';
+
+// Check the references between tracks and playlists:
+// - playlist entries pointing at deleted tracks, and track entries pointing at deleted playlists
+// - tracks listed more than once in the same playlist
+// - memberships recorded on only one side
+// - trackCount values that disagree with the track list
+// - tracks that belong to no playlist (reported only; deleting content is left to an editor)
+// With fix: true every problem except orphaned tracks is repaired.
+export const checkIntegrity = async ({ fix = false } = {}) => {
+  const [playlists, tracks] = await Promise.all([
+    Playlist.find().select('title tracks trackCount').lean(),
+    Track.find().select('title playlists').lean()
+  ]);
+
+  const trackIds = new Set(tracks.map(track => track._id.toString()));
+  const playlistIds = new Set(playlists.map(playlist => playlist._id.toString()));
+
+  const danglingTracks = [];
+  const duplicateTracks = [];
+  const trackCountMismatches = [];
+
+  for (const playlist of playlists) {
+    const ids = playlist.tracks.map(String);
+    const dangling = ids.filter(id => !trackIds.has(id));
+    const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+    const expectedCount = new Set(ids.filter(id => trackIds.has(id))).size;
+
+    if (dangling.length > 0) {
+      danglingTracks.push({ playlist: playlist._id, title: playlist.title, tracks: [...new Set(dangling)] });
+    }
+    if (duplicates.length > 0) {
+      duplicateTracks.push({ playlist: playlist._id, title: playlist.title, tracks: [...new Set(duplicates)] });
+    }
+    if (playlist.trackCount !== expectedCount) {
+      trackCountMismatches.push({ playlist: playlist._id, title: playlist.title, trackCount: playlist.trackCount, expected: expectedCount });
+    }
+  }
+
+  const danglingPlaylists = tracks
+    .map(track => ({
+      track: track._id,
+      title: track.title,
+      playlists: track.playlists.map(String).filter(id => !playlistIds.has(id))
+    }))
+    .filter(entry => entry.playlists.length > 0);
+
+  const linkedTracks = new Set(playlists.flatMap(playlist => playlist.tracks.map(String)));
+  const orphanedTracks = tracks
+    .filter(track => !linkedTracks.has(track._id.toString()) && !track.playlists.some(id => playlistIds.has(id.toString())))
+    .map(track => ({ track: track._id, title: track.title }));
+
+  if (fix) {
+    if (danglingTracks.length > 0 || duplicateTracks.length > 0) {
+      // Rebuild each affected list without dangling ids, keeping the first occurrence of each track
+      const affected = new Set([...danglingTracks, ...duplicateTracks].map(entry => entry.playlist.toString()));
+      await Playlist.bulkWrite(playlists
+        .filter(playlist => affected.has(playlist._id.toString()))
+        .map(playlist => ({
+          updateOne: {
+            filter: { _id: playlist._id },
+            update: {
+              $set: { tracks: [...new Set(playlist.tracks.map(String))].filter(id => trackIds.has(id)) },
+              $inc: { tracksVersion: 1 }
+            }
+          }
+        })));
+    }
+
+    if (danglingPlaylists.length > 0) {
+      await Track.bulkWrite(danglingPlaylists.map(entry => ({
+        updateOne: { filter: { _id: entry.track }, update: { $pull: { playlists: { $in: entry.playlists } } } }
+      })));
+    }
+  }
+
+  // Runs after the dangling ids are gone so only real one-sided links are repaired
+  const { missingOnTracks, missingOnPlaylists, resolvedFrom } = await reconcileMemberships({ fix });
+
+  if (fix) {
+    await Playlist.refreshTotals([...playlistIds]);
+  }
+
+  return {
+    fixed: fix,
+    summary: {
+      playlists: playlists.length,
+      tracks: tracks.length,
+      danglingTracks: danglingTracks.length,
+      danglingPlaylists: danglingPlaylists.length,
+      duplicateTracks: duplicateTracks.length,
+      missingOnTracks: missingOnTracks.length,
+      missingOnPlaylists: missingOnPlaylists.length,
+      membershipsResolvedFrom: resolvedFrom,
+      trackCountMismatches: trackCountMismatches.length,
+      orphanedTracks: orphanedTracks.length
+    },
+    danglingTracks,
+    danglingPlaylists,
+    duplicateTracks,
+    missingOnTracks,
+    missingOnPlaylists,
+    trackCountMismatches,
+    orphanedTracks
+  };
+};
@@ -0,0 +1,120 @@
+import Media, { MEDIA_REFERENCES } from '../models/Media.js';
+import JobRun from '../models/JobRun.js';
+import Page from '../models/Page.js';
+import Track from '../models/Track.js';
+import { getStorage, mediaFolders } from '../storage/index.js';
+import { escapeRegExp } from '../utils/search.js';
+
+// How often the catalog is reconciled with storage; read lazily so dotenv has run
+export const mediaSyncIntervalMinutes = () => parseInt(process.env.MEDIA_SYNC_INTERVAL_MINUTES) || 60;
+
+const REFERENCING_MODELS = { Page, Track };
+
+// Rebuild every catalog entry's usage from the pages and tracks that reference it.
+// The save hooks keep usage current between runs; this catches writes that bypass them
+// and assets catalogued after the documents pointing at them were saved.
+export const rebuildMediaUsage = async () => {
+  const usageByUrl = new Map();
+
+  for (const [modelName, fields] of Object.entries(MEDIA_REFERENCES)) {
+    const documents = REFERENCING_MODELS[modelName].find().select(fields.join(' ')).lean().cursor();
+    for await (const document of documents) {
+      for (const field of fields) {
+        if (!document[field]) continue;
+        const usage = usageByUrl.get(document[field]) || [];
+        usage.push({ model: modelName, document: document._id, field });
+        usageByUrl.set(document[field], usage);
+      }
+    }
+  }
+
+  const entries = await Media.find().select('url').lean();
+  const report = { inUse: 0, orphaned: 0 };
+
+  for (let start = 0; start < entries.length; start += 500) {
+    const batch = entries.slice(start, start + 500);
+    await Media.bulkWrite(batch.map(entry => {
+      const usage = usageByUrl.get(entry.url) || [];
+      report[usage.length > 0 ? 'inUse' : 'orphaned']++;
+      return { updateOne: { filter: { _id: entry._id }, update: { $set: { usage } } } };
+    }));
+  }
+
+  return report;
+};
+
+// Mirror every asset in storage into the Media catalog. New assets are added, known ones
+// get their technical fields refreshed (editorial fields are never touched), and entries
+// whose asset is gone are flagged with missingSince rather than deleted. Usage is
+// rebuilt afterwards so new entries know where they are referenced.
+export const reconcileMediaCatalog = async () => {
+  const storage = getStorage();
+  const startedAt = new Date();
+  const scopes = [
+    { kind: 'image' },
+    { kind: 'audio', folder: mediaFolders().audio }
+  ];
+
+  const report = { driver: storage.name, scanned: 0, added: 0, updated: 0, missing: 0 };
+
+  for (const scope of scopes) {
+    let cursor = null;
+
+    do {
+      const page = await storage.list({ ...scope, recursive: true, limit: 500, cursor });
+      cursor = page.nextCursor;
+
+      if (page.items.length === 0) continue;
+      report.scanned += page.items.length;
+
+      const result = await Media.bulkWrite(page.items.map(item => ({
+        updateOne: {
+          filter: { driver: storage.name, storageId: item.id },
+          update: {
+            $set: { ...Media.fieldsFromItem(item), kind: scope.kind, syncedAt: new Date(), missingSince: null }
+          },
+          upsert: true
+        }
+      })));
+      report.added += result.upsertedCount;
+      report.updated += result.modifiedCount;
+    } while (cursor);
+
+    // Only entries inside the scanned scope can be judged missing
+    const scanned = { driver: storage.name, kind: scope.kind, syncedAt: { $lt: startedAt }, missingSince: null };
+    if (scope.folder) {
+      scanned.folder = { $regex: `^${escapeRegExp(scope.folder)}(/|$)` };
+    }
+    const missing = await Media.updateMany(
+      scanned,
+      { $set: { missingSince: startedAt } }
+    );
+    report.missing += missing.modifiedCount;
+  }
+
+  const fullReport = { ...report, ...await rebuildMediaUsage() };
+  await JobRun.recordCompletion(catalogJobName(storage.name), fullReport);
+
+  return fullReport;
+};
+
+const catalogJobName = (driver) => `media-catalog:${driver}`;
+
+// Reconciliations in progress, by driver, so concurrent callers share one
+const pendingReconciliations = new Map();
+
+// Make sure the catalog of the current driver was reconciled at least once, so listings
+// that read from it are complete right after a deploy, before the schedule first runs
+// (or on platforms where it never does)
+export const ensureMediaCatalog = async () => {
+  const driver = getStorage().name;
+
+  if (await JobRun.exists({ name: catalogJobName(driver) })) {
+    return;
+  }
+
+  if (!pendingReconciliations.has(driver)) {
+    pendingReconciliations.set(driver, reconcileMediaCatalog().finally(() => pendingReconciliations.delete(driver)));
+  }
+  await pendingReconciliations.get(driver);
+};
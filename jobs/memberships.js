@@ -0,0 +1,67 @@
+import Track from '../models/Track.js';
+import Playlist from '../models/Playlist.js';
+import { supportsTransactions } from '../services/membership.js';
+
+// Repair playlist memberships recorded on only one side. With transactions, a one-sided
+// link can only come from outside the membership service, so a link present on either
+// Playlist.tracks or Track.playlists is treated as intended and copied to the other side.
+// Without them a removal may have stopped halfway, so Playlist.tracks is the source of truth:
+// links it lacks are pulled from the track instead of added back to the playlist.
+// Links to documents that no longer exist are left alone.
+// Returns the one-sided links found; pass fix: false to report without writing.
+export const reconcileMemberships = async ({ fix = true } = {}) => {
+  const resolvedFrom = (await supportsTransactions()) ? 'both' : 'playlists';
+
+  const [playlists, tracks] = await Promise.all([
+    Playlist.find().select('tracks').lean(),
+    Track.find().select('playlists').lean()
+  ]);
+
+  const playlistTracks = new Map(playlists.map(playlist => [playlist._id.toString(), new Set(playlist.tracks.map(String))]));
+  const trackPlaylists = new Map(tracks.map(track => [track._id.toString(), new Set(track.playlists.map(String))]));
+
+  // Links the playlist has but the track does not, and the reverse
+  const missingOnTracks = [];
+  const missingOnPlaylists = [];
+
+  for (const [playlistId, trackIds] of playlistTracks) {
+    for (const trackId of trackIds) {
+      const links = trackPlaylists.get(trackId);
+      if (links && !links.has(playlistId)) {
+        missingOnTracks.push({ track: trackId, playlist: playlistId });
+      }
+    }
+  }
+
+  for (const [trackId, playlistIds] of trackPlaylists) {
+    for (const playlistId of playlistIds) {
+      const links = playlistTracks.get(playlistId);
+      if (links && !links.has(trackId)) {
+        missingOnPlaylists.push({ track: trackId, playlist: playlistId });
+      }
+    }
+  }
+
+  if (fix && (missingOnTracks.length > 0 || missingOnPlaylists.length > 0)) {
+    if (missingOnTracks.length > 0) {
+      await Track.bulkWrite(missingOnTracks.map(({ track, playlist }) => ({
+        updateOne: { filter: { _id: track }, update: { $addToSet: { playlists: playlist } } }
+      })));
+    }
+
+    if (missingOnPlaylists.length > 0 && resolvedFrom === 'playlists') {
+      await Track.bulkWrite(missingOnPlaylists.map(({ track, playlist }) => ({
+        updateOne: { filter: { _id: track }, update: { $pull: { playlists: playlist } } }
+      })));
+    } else if (missingOnPlaylists.length > 0) {
+      await Playlist.bulkWrite(missingOnPlaylists.map(({ track, playlist }) => ({
+        updateOne: { filter: { _id: playlist }, update: { $addToSet: { tracks: track }, $inc: { tracksVersion: 1 } } }
+      })));
+
+      const touched = [...new Set(missingOnPlaylists.map(link => link.playlist))];
+      await Playlist.refreshTotals(touched);
+    }
+  }
+
+  return { missingOnTracks, missingOnPlaylists, resolvedFrom, fixed: fix };
+};
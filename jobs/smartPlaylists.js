@@ -0,0 +1,89 @@
+import Track, { TRACK_SORTS } from '../models/Track.js';
+import Playlist from '../models/Playlist.js';
+import { setPlaylistTracks } from '../services/membership.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often smart playlists are re-evaluated, and how old an evaluation may be before
+// a read triggers a fresh one; read lazily so dotenv has run
+export const smartPlaylistIntervalMinutes = () => parseInt(process.env.SMART_PLAYLIST_INTERVAL_MINUTES) || 15;
+
+// Track filter for a smart playlist's rules
+export const smartRulesFilter = (rules = {}, now = new Date()) => {
+  const filter = {};
+
+  if (rules.categories?.length > 0) {
+    filter.category = { $in: rules.categories };
+  }
+
+  if (rules.authors?.length > 0) {
+    filter.author = { $in: rules.authors };
+  }
+
+  if (typeof rules.trending === 'boolean') {
+    filter.trending = rules.trending;
+  }
+
+  if (rules.releasedFrom || rules.releasedTo || rules.releasedWithinDays) {
+    filter.releaseDate = {};
+    const windowStart = rules.releasedWithinDays ? new Date(now.getTime() - rules.releasedWithinDays * DAY_MS) : null;
+    // The later of the fixed start date and the rolling window wins
+    const from = [rules.releasedFrom, windowStart].filter(Boolean).sort((a, b) => b - a)[0];
+    if (from) filter.releaseDate.$gte = from;
+    if (rules.releasedTo) filter.releaseDate.$lte = rules.releasedTo;
+  }
+
+  if (rules.minPlays) {
+    filter.listenerCount = { $gte: rules.minPlays };
+  }
+
+  return filter;
+};
+
+const sameOrder = (a, b) => a.length === b.length && a.every((id, index) => String(id) === String(b[index]));
+
+// Re-evaluate one smart playlist. Its tracks are only rewritten when the result changed,
+// so the tracks version moves only when the order does.
+export const refreshSmartPlaylist = async (playlist) => {
+  const rules = playlist.rules || {};
+
+  const tracks = await Track.find(smartRulesFilter(rules))
+    .sort(TRACK_SORTS[rules.sort] || TRACK_SORTS.newest)
+    .limit(rules.limit || 50)
+    .select('_id')
+    .lean();
+  const trackIds = tracks.map(track => track._id);
+
+  const changed = !sameOrder(trackIds, playlist.tracks || []);
+  if (changed) {
+    await setPlaylistTracks(playlist._id, trackIds);
+  }
+  await Playlist.updateOne({ _id: playlist._id }, { $set: { rulesEvaluatedAt: new Date() } });
+
+  return changed;
+};
+
+// Re-evaluate the smart playlists matching `filter`; with `staleOnly`, only those not
+// evaluated within the interval. A playlist that fails is logged and left as it was.
+export const refreshSmartPlaylists = async ({ filter = {}, staleOnly = false } = {}) => {
+  const query = { $and: [filter, { mode: 'smart' }] };
+  if (staleOnly) {
+    const cutoff = new Date(Date.now() - smartPlaylistIntervalMinutes() * 60 * 1000);
+    query.$and.push({ $or: [{ rulesEvaluatedAt: null }, { rulesEvaluatedAt: { $lt: cutoff } }] });
+  }
+
+  const playlists = await Playlist.find(query).select('rules tracks').lean();
+
+  let changed = 0;
+  for (const playlist of playlists) {
+    try {
+      if (await refreshSmartPlaylist(playlist)) {
+        changed++;
+      }
+    } catch (error) {
+      console.error(`Error refreshing smart playlist ${playlist._id}:`, error);
+    }
+  }
+
+  return { evaluated: playlists.length, changed };
+};
@@ -0,0 +1,68 @@
+import Track from '../models/Track.js';
+import TrackDailyStat, { startOfDay } from '../models/TrackDailyStat.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Settings read lazily so dotenv has run
+const trendingSettings = () => ({
+  windowDays: parseInt(process.env.TRENDING_WINDOW_DAYS) || 7,
+  limit: parseInt(process.env.TRENDING_LIMIT) || 10,
+  minPlays: parseInt(process.env.TRENDING_MIN_PLAYS) || 5,
+  // Each day back counts this much less than the one after it
+  decay: parseFloat(process.env.TRENDING_DECAY) || 0.7
+});
+
+// Score tracks by recent play velocity and flag the top ones as trending.
+// A play today counts fully, a play N days ago counts decay^N, and completions add half a play.
+export const computeTrending = async () => {
+  const { windowDays, limit, minPlays, decay } = trendingSettings();
+  const today = startOfDay();
+  const since = new Date(today.getTime() - (windowDays - 1) * DAY_MS);
+
+  const stats = await TrackDailyStat.aggregate([
+    { $match: { day: { $gte: since } } },
+    {
+      $project: {
+        track: 1,
+        starts: 1,
+        weight: {
+          $pow: [decay, { $divide: [{ $subtract: [today, '$day'] }, DAY_MS] }]
+        },
+        plays: { $add: ['$starts', { $multiply: ['$completions', 0.5] }] }
+      }
+    },
+    {
+      $group: {
+        _id: '$track',
+        starts: { $sum: '$starts' },
+        score: { $sum: { $multiply: ['$plays', '$weight'] } }
+      }
+    },
+    { $match: { starts: { $gte: minPlays } } },
+    // Stats outlive deleted tracks; keep those from taking trending slots
+    { $lookup: { from: Track.collection.name, localField: '_id', foreignField: '_id', as: 'track' } },
+    { $match: { 'track.0': { $exists: true } } },
+    { $project: { track: 0 } },
+    { $sort: { score: -1 } },
+    { $limit: limit }
+  ]);
+
+  const trendingIds = stats.map(stat => stat._id);
+
+  await Track.bulkWrite([
+    {
+      updateMany: {
+        filter: { _id: { $nin: trendingIds }, $or: [{ trending: true }, { trendingScore: { $ne: 0 } }] },
+        update: { $set: { trending: false, trendingScore: 0 } }
+      }
+    },
+    ...stats.map(stat => ({
+      updateOne: {
+        filter: { _id: stat._id },
+        update: { $set: { trending: true, trendingScore: Math.round(stat.score * 100) / 100 } }
+      }
+    }))
+  ]);
+
+  return stats.map(stat => ({ track: stat._id, score: stat.score, starts: stat.starts }));
+};
@@ -0,0 +1,13 @@
+import crypto from 'crypto';
+
+// Prints messages to the server log instead of sending them
+const send = async ({ from, to, subject, text }) => {
+  const id = crypto.randomUUID();
+  console.log(`📧 Email ${id}\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`);
+  return { id };
+};
+
+export default {
+  name: 'console',
+  send
+};
@@ -0,0 +1,7 @@
+// Error raised by mail transports
+export class MailError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MailError';
+  }
+}
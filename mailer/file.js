@@ -0,0 +1,21 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Writes each message as a JSON file for local development, so links in password reset
+// and verification emails can be followed without a mail server. Directory: MAIL_OUTBOX_DIR.
+
+const send = async (message) => {
+  const directory = path.resolve(process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+  const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+
+  await fs.mkdir(directory, { recursive: true });
+  await fs.writeFile(path.join(directory, `${id}.json`), JSON.stringify(message, null, 2));
+
+  return { id };
+};
+
+export default {
+  name: 'file',
+  send
+};
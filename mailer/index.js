@@ -0,0 +1,42 @@
+import smtp from './smtp.js';
+import file from './file.js';
+import consoleTransport from './console.js';
+import { MailError } from './errors.js';
+
+export { MailError };
+
+// Mail transports, selected with MAIL_TRANSPORT. Every transport exposes
+//   send({ from, to, subject, text, html }) -> { id }
+// and throws MailError when the message could not be handed over.
+const TRANSPORTS = {
+  smtp,
+  file,
+  console: consoleTransport
+};
+
+export const getMailer = () => {
+  // The console transport writes reset and verification links to the logs, so production
+  // has to choose a transport explicitly
+  if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+    throw new MailError('MAIL_TRANSPORT must be set in production');
+  }
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new MailError(`Unknown mail transport "${name}"`);
+  }
+  return transport;
+};
+
+// Site name used in subjects and greetings
+export const siteName = () => process.env.SITE_NAME || 'The Funnel Effect';
+
+// Absolute link to a page of the CMS front end, for links in emails
+export const cmsLink = (path) => `${(process.env.CMS_URL || 'http://localhost:3000').replace(/\/$/, '')}${path}`;
+
+// Send a message from MAIL_FROM through the configured transport
+export const sendMail = ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || `${siteName()} <no-reply@localhost>`;
+  return getMailer().send({ from, to, subject, text, html });
+};
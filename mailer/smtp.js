@@ -0,0 +1,44 @@
+import nodemailer from 'nodemailer';
+import { MailError } from './errors.js';
+
+// Sends through an SMTP server configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+// SMTP_USER and SMTP_PASS. The connection is created on first use so dotenv has run.
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  const host = process.env.SMTP_HOST;
+  if (!host) {
+    throw new MailError('SMTP configuration missing');
+  }
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  transporter = nodemailer.createTransport({
+    host,
+    port,
+    // Implicit TLS on 465; other ports upgrade with STARTTLS
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return transporter;
+};
+
+const send = async (message) => {
+  try {
+    const info = await getTransporter().sendMail(message);
+    return { id: info.messageId };
+  } catch (error) {
+    if (error instanceof MailError) throw error;
+    console.error('SMTP send failed:', error.message);
+    throw new MailError('Could not send email');
+  }
+};
+
+export default {
+  name: 'smtp',
+  send
+};
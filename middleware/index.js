@@ -1,7 +1,8 @@
-import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
+import multer from 'multer';
+import { can } from '../config/permissions.js';
+import { verifyAccessToken, SessionError } from '../services/sessions.js';
 
-// Authentication middleware
+// Authentication middleware: a valid access token whose session is still active
 export const authenticate = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
@@ -13,25 +14,28 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
-    const user = await User.findById(decoded.userId).select('-password');
+    const { user, session } = await verifyAccessToken(token);
 
-    if (!user || !user.isActive) {
-      return res.status(401).json({
-        error: 'Invalid token',
-        message: 'User not found or inactive'
+    // After a forced reset the only thing left to do is POST /api/auth/change-password
+    if (user.mustChangePassword) {
+      return res.status(403).json({
+        error: 'Password change required',
+        message: 'Your password was reset; choose a new one before continuing'
       });
     }
 
-    // Add user to request object
+    // Add user and session to request object
     req.user = user;
+    req.authSession = session;
     next();
 
   } catch (error) {
-    console.error('Authentication error:', error);
+    if (!(error instanceof SessionError)) {
+      console.error('Authentication error:', error);
+    }
     res.status(401).json({
       error: 'Invalid token',
-      message: 'Authentication failed'
+      message: error instanceof SessionError ? error.message : 'Authentication failed'
     });
   }
 };
@@ -42,11 +46,11 @@ export const optionalAuthenticate = async (req, res, next) => {
     const token = req.headers.authorization?.replace('Bearer ', '');
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
-      const user = await User.findById(decoded.userId).select('-password');
+      const { user, session } = await verifyAccessToken(token);
 
-      if (user && user.isActive) {
+      if (!user.mustChangePassword) {
         req.user = user;
+        req.authSession = session;
       }
     }
 
@@ -68,6 +72,53 @@ export const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Role permission middleware (see config/permissions.js); use after authenticate.
+// Roles granted an action only on their own documents pass here, so routes acting on
+// one document must still check ownership with canOnDocument.
+export const requirePermission = (resource, action) => {
+  return (req, res, next) => {
+    if (!req.user || !can(req.user, resource, action)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: `Your role does not allow you to ${action} ${resource}`
+      });
+    }
+    next();
+  };
+};
+
+// Single-file upload middleware: keeps the file in memory as req.file and answers
+// 400/413 for missing, rejected or oversized files. `maxBytes` is a function so
+// limits configured in the environment are read after dotenv has run.
+export const receiveFile = ({ field = 'file', maxBytes, accept = () => true, label = 'A file' }) => {
+  return (req, res, next) => {
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxBytes(), files: 1 },
+      fileFilter: (req, file, callback) => callback(null, accept(file))
+    }).single(field);
+
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+          success: false,
+          message: error.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : error.message
+        });
+      }
+      if (error) {
+        return next(error);
+      }
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: `${label} is required in the "${field}" field`
+        });
+      }
+      next();
+    });
+  };
+};
+
 // Validation middleware
 export const validateRequest = (schema) => {
   return (req, res, next) => {
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+export const ACCOUNT_TOKEN_PURPOSES = ['password-reset', 'email-verification'];
+
+// A single-use token sent by email. Only the SHA-256 hash of the token is stored, so a
+// database leak does not hand out working links.
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ACCOUNT_TOKEN_PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Address the token was sent to; a verification token only confirms this address
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+accountTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+// Expired tokens, used or not, are removed by MongoDB
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+export default AccountToken;
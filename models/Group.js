@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+import slugify from 'slugify';
+
+// Sections that existed before groups were managed in the database
+const DEFAULT_GROUPS = [
+  { name: 'Blogs', slug: 'blogs', order: 0 },
+  { name: 'Cardiology', slug: 'cardiology', order: 1 },
+  { name: 'Case Studies', slug: 'case-studies', order: 2 }
+];
+
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Slug cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Position among siblings, lowest first
+  order: {
+    type: Number,
+    default: 0
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null
+  },
+  // SEO Fields
+  metaTitle: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'Meta title cannot be more than 60 characters']
+  },
+  metaDescription: {
+    type: String,
+    trim: true,
+    maxlength: [160, 'Meta description cannot be more than 160 characters']
+  },
+  metaKeywords: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'Meta keywords cannot be more than 255 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Generate slug from name if not provided, and keep it properly formatted
+groupSchema.pre('validate', function(next) {
+  const source = this.slug || this.name;
+  if (source) {
+    this.slug = slugify(source, {
+      lower: true,
+      strict: true,
+      remove: /[*+~.()'"!:@]/g
+    });
+  }
+  next();
+});
+
+// Seed the original hard-coded groups into an empty collection
+groupSchema.statics.ensureDefaults = async function() {
+  const count = await this.estimatedDocumentCount();
+  if (count === 0) {
+    await this.insertMany(DEFAULT_GROUPS);
+  }
+};
+
+// Whether every slug in the list names an existing group
+groupSchema.statics.allExist = async function(slugs = []) {
+  const unique = [...new Set(slugs)];
+  if (unique.length === 0) {
+    return true;
+  }
+  const found = await this.countDocuments({ slug: { $in: unique } });
+  return found === unique.length;
+};
+
+// Ids of a group and every group nested beneath it
+groupSchema.statics.descendantIds = async function(groupId) {
+  const ids = [];
+  let frontier = [groupId];
+
+  while (frontier.length > 0) {
+    const children = await this.find({ parent: { $in: frontier } }).select('_id');
+    frontier = children.map(child => child._id);
+    ids.push(...frontier);
+  }
+
+  return ids;
+};
+
+// Note: slug index is already created by 'unique: true' in schema
+groupSchema.index({ parent: 1, order: 1 });
+
+const Group = mongoose.model('Group', groupSchema);
+
+export default Group;
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import { ROLES } from '../config/permissions.js';
+
+export const INVITE_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+// An invitation for someone to join the CMS with a role chosen by an admin. The invitee
+// picks their own username and password when accepting. Only the SHA-256 hash of the
+// invite token is stored; invites are kept after use as a record of who invited whom.
+const inviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'Role must be one of: ' + ROLES.join(', ')
+    },
+    default: 'viewer'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Last time the invitation email went out, and how often it did
+  sentAt: Date,
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Filter for invites that can still be accepted
+inviteSchema.statics.pendingFilter = function(now = new Date()) {
+  return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+};
+
+// Filter for invites in one of INVITE_STATUSES
+inviteSchema.statics.statusFilter = function(status, now = new Date()) {
+  switch (status) {
+    case 'pending':
+      return this.pendingFilter(now);
+    case 'accepted':
+      return { acceptedAt: { $ne: null } };
+    case 'revoked':
+      return { revokedAt: { $ne: null } };
+    case 'expired':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    default:
+      return {};
+  }
+};
+
+inviteSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+inviteSchema.index({ tokenHash: 1 }, { unique: true });
+inviteSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+inviteSchema.index({ createdAt: -1 });
+
+const Invite = mongoose.model('Invite', inviteSchema);
+
+export default Invite;
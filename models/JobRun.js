@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// Last completed run of a background job, for jobs whose results must exist before
+// routes can rely on them
+const jobRunSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  completedAt: {
+    type: Date,
+    required: true
+  },
+  report: mongoose.Schema.Types.Mixed
+});
+
+// Record that a job completed now
+jobRunSchema.statics.recordCompletion = function(name, report) {
+  return this.updateOne(
+    { name },
+    { $set: { completedAt: new Date(), report } },
+    { upsert: true }
+  );
+};
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+export default JobRun;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { THROTTLE_SCOPES } from './LoginThrottle.js';
+
+// A temporary lockout after repeated failed logins, kept as a record of attacks such as
+// credential stuffing against the CMS
+const loginLockoutSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: THROTTLE_SCOPES,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // The locked account, for the account scope when it exists
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // IP of the failure that triggered the lockout
+  ip: String,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  failures: Number,
+  // Usernames and emails tried before the lockout
+  identifiers: {
+    type: [String],
+    default: []
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  unlockedAt: {
+    type: Date,
+    default: null
+  },
+  unlockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Filter for lockouts still in force
+loginLockoutSchema.statics.activeFilter = function(now = new Date()) {
+  return { unlockedAt: null, lockedUntil: { $gt: now } };
+};
+
+loginLockoutSchema.index({ createdAt: -1 });
+loginLockoutSchema.index({ scope: 1, key: 1, createdAt: -1 });
+loginLockoutSchema.index({ user: 1, createdAt: -1 });
+loginLockoutSchema.index({ ip: 1, createdAt: -1 });
+
+const LoginLockout = mongoose.model('LoginLockout', loginLockoutSchema);
+
+export default LoginLockout;
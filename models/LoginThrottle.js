@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+export const THROTTLE_SCOPES = ['account', 'ip'];
+
+// How many of the identifiers tried from one IP are remembered
+export const IDENTIFIER_LIMIT = 20;
+
+// Recent failed logins against one account or from one IP address. The counter starts over
+// once no failure happened for the failure window; MongoDB removes the document after that.
+const loginThrottleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: THROTTLE_SCOPES,
+    required: true
+  },
+  // User id for accounts that exist, otherwise the lowercased username or email tried;
+  // the client IP for the ip scope
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  // Usernames and emails tried, most recent last
+  identifiers: {
+    type: [String],
+    default: []
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+loginThrottleSchema.index({ scope: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+export default LoginThrottle;
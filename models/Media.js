@@ -0,0 +1,209 @@
+import mongoose from 'mongoose';
+import { canOnDocument } from '../config/permissions.js';
+
+export const MEDIA_KINDS = ['image', 'audio'];
+
+// Document fields that hold media URLs, by model
+export const MEDIA_REFERENCES = {
+  Page: ['imageUrl', 'thumbnailUrl', 'audioUrl'],
+  Track: ['audioUrl', 'thumbnail']
+};
+
+// One field of one document that points at the asset
+const usageSchema = new mongoose.Schema({
+  model: {
+    type: String,
+    enum: Object.keys(MEDIA_REFERENCES),
+    required: true
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  field: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// Catalog entry mirroring one asset held by a storage driver. Technical fields
+// (url, folder, format, size, dimensions, duration) come from the driver; the
+// editorial fields (title, alt text, caption, credits, tags) are only set in the CMS.
+const mediaSchema = new mongoose.Schema({
+  driver: {
+    type: String,
+    required: true
+  },
+  // The driver's id for the asset (Cloudinary public id, or path for the local driver)
+  storageId: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: MEDIA_KINDS,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Display name as known to the storage driver
+  name: {
+    type: String,
+    trim: true
+  },
+  folder: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  format: String,
+  bytes: Number,
+  width: Number,
+  height: Number,
+  // Seconds, for audio
+  duration: Number,
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  altText: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Alt text cannot be more than 300 characters']
+  },
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Caption cannot be more than 500 characters']
+  },
+  credits: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Credits cannot be more than 200 characters']
+  },
+  tags: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: value => value.length <= 20,
+      message: 'Cannot have more than 20 tags'
+    }
+  },
+  // Where the asset is referenced; kept up to date by Page and Track hooks and rebuilt on reconciliation
+  usage: {
+    type: [usageSchema],
+    default: []
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // When the asset was created in storage
+  uploadedAt: Date,
+  // Last time the entry was confirmed against storage
+  syncedAt: Date,
+  // Set when reconciliation no longer finds the asset in storage
+  missingSince: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Technical fields of a storage driver item, as stored on a catalog entry
+mediaSchema.statics.fieldsFromItem = function(item) {
+  const fields = {
+    url: item.url,
+    name: item.name,
+    folder: item.folder || '',
+    format: item.format,
+    bytes: item.bytes,
+    width: item.width,
+    height: item.height,
+    duration: item.duration,
+    uploadedAt: item.createdAt ? new Date(item.createdAt) : undefined
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+};
+
+// Create or refresh the catalog entry for a storage item
+mediaSchema.statics.upsertFromItem = function(item, { driver, kind, uploadedBy } = {}) {
+  const update = { $set: { ...this.fieldsFromItem(item), kind, syncedAt: new Date(), missingSince: null } };
+  if (uploadedBy) {
+    update.$setOnInsert = { uploadedBy };
+  }
+  return this.findOneAndUpdate(
+    { driver, storageId: item.id },
+    update,
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Re-index the assets a saved Page or Track references
+mediaSchema.statics.recordUsage = async function(modelName, doc, { session } = {}) {
+  await this.releaseUsage(doc._id, { session });
+
+  // Sequential: operations sharing a session cannot run in parallel
+  for (const field of MEDIA_REFERENCES[modelName]) {
+    if (doc[field]) {
+      await this.updateMany(
+        { url: doc[field] },
+        { $push: { usage: { model: modelName, document: doc._id, field } } },
+        { session }
+      );
+    }
+  }
+};
+
+// Drop every usage entry of a document, e.g. once it is deleted
+mediaSchema.statics.releaseUsage = function(documentId, { session } = {}) {
+  return this.updateMany(
+    { 'usage.document': documentId },
+    { $pull: { usage: { document: documentId } } },
+    { session }
+  );
+};
+
+// Whether the user's role allows the action ('update' or 'delete') on this asset;
+// roles limited to their own media may only change what they uploaded
+mediaSchema.methods.isManageableBy = function(user, action = 'update') {
+  return Boolean(user) && canOnDocument(user, 'media', action, this.uploadedBy);
+};
+
+// The entry in the shape of a storage driver item, for routes that return driver items
+mediaSchema.methods.toItem = function() {
+  return {
+    id: this.storageId,
+    url: this.url,
+    name: this.name,
+    folder: this.folder,
+    format: this.format,
+    bytes: this.bytes,
+    width: this.width,
+    height: this.height,
+    duration: this.duration,
+    createdAt: this.uploadedAt
+  };
+};
+
+mediaSchema.index({ driver: 1, storageId: 1 }, { unique: true });
+mediaSchema.index({ driver: 1, kind: 1, folder: 1, uploadedAt: -1 });
+mediaSchema.index({ tags: 1 });
+mediaSchema.index({ url: 1 });
+mediaSchema.index({ 'usage.document': 1 });
+mediaSchema.index(
+  { title: 'text', name: 'text', altText: 'text', caption: 'text', tags: 'text', credits: 'text' },
+  {
+    name: 'media_search',
+    weights: { title: 10, name: 8, tags: 6, altText: 4, caption: 3, credits: 2 }
+  }
+);
+
+const Media = mongoose.model('Media', mediaSchema);
+
+export default Media;
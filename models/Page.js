@@ -1,5 +1,15 @@
 import mongoose from 'mongoose';
 import slugify from 'slugify';
+import Redirect from './Redirect.js';
+import Group from './Group.js';
+import Media, { MEDIA_REFERENCES } from './Media.js';
+import { canOnDocument } from '../config/permissions.js';
+
+// Publishing lifecycle of a page
+export const PAGE_STATUSES = ['draft', 'in-review', 'scheduled', 'published', 'archived'];
+
+// Statuses only roles with the pages publish permission may move a page into or out of
+export const PUBLISHING_STATUSES = ['scheduled', 'published', 'archived'];
 
 const pageSchema = new mongoose.Schema({
   title: {
@@ -31,17 +41,21 @@ const pageSchema = new mongoose.Schema({
   groups: {
     type: [String],
     default: [],
-    validate: {
-      validator: function(v) {
-        if (v.length > 10) {
-          return false; // Maximum 10 groups
-        }
-        // Validate that all groups are from allowed options
-        const allowedGroups = ['blogs', 'cardiology', 'case-studies'];
-        return v.every(group => allowedGroups.includes(group));
+    validate: [
+      {
+        validator: function(v) {
+          return v.length <= 10; // Maximum 10 groups
+        },
+        message: 'Cannot have more than 10 groups'
       },
-      message: 'Groups must be from allowed options: blogs, cardiology, case-studies and cannot exceed 10 items'
-    }
+      {
+        // Groups are managed in the Group collection
+        validator: function(v) {
+          return Group.allExist(v);
+        },
+        message: 'Groups must reference existing groups'
+      }
+    ]
   },
   // SEO Fields
   metaTitle: {
@@ -98,6 +112,29 @@ const pageSchema = new mongoose.Schema({
     type: Number,
     min: [1, 'Read time must be at least 1 minute'],
     max: [999, 'Read time cannot exceed 999 minutes']
+  },
+  // Publishing workflow
+  status: {
+    type: String,
+    enum: {
+      values: PAGE_STATUSES,
+      message: 'Status must be one of: ' + PAGE_STATUSES.join(', ')
+    },
+    default: 'draft'
+  },
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  unpublishAt: {
+    type: Date,
+    default: null
+  },
+  // User who created the page; roles limited to their own pages may only change these
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt fields
@@ -127,11 +164,107 @@ pageSchema.pre('save', function(next) {
   next();
 });
 
+// Stamp the publish date when a page goes live without one, and require it for scheduled pages
+pageSchema.pre('validate', function(next) {
+  if (this.status === 'published' && !this.publishAt) {
+    this.publishAt = new Date();
+  }
+  if (this.status === 'scheduled' && !this.publishAt) {
+    this.invalidate('publishAt', 'Scheduled pages require a publishAt date');
+  }
+  if (this.publishAt && this.unpublishAt && this.unpublishAt <= this.publishAt) {
+    this.invalidate('unpublishAt', 'unpublishAt must be later than publishAt');
+  }
+  next();
+});
+
+// Remember the slug a page was loaded with so a rename can leave a redirect behind
+pageSchema.post('init', function() {
+  this.$locals.loadedSlug = this.slug;
+});
+
+pageSchema.post('save', async function() {
+  const { loadedSlug } = this.$locals;
+
+  if (loadedSlug !== this.slug) {
+    // New pages and renames both retire redirects that now point away from a live slug
+    await Redirect.recordSlugChange(this, loadedSlug);
+    this.$locals.loadedSlug = this.slug;
+  }
+});
+
+// Keep the media usage index in step with the page's image and audio URLs
+pageSchema.pre('save', function(next) {
+  this.$locals.mediaChanged = this.isNew || MEDIA_REFERENCES.Page.some(field => this.isModified(field));
+  next();
+});
+
+pageSchema.post('save', async function() {
+  if (this.$locals.mediaChanged) {
+    await Media.recordUsage('Page', this, { session: this.$session() });
+  }
+});
+
+pageSchema.post('findOneAndDelete', async function(page) {
+  if (page) {
+    await Media.releaseUsage(page._id);
+  }
+});
+
+// Whether the user's role allows the action ('update', 'delete' or 'publish') on this page
+pageSchema.methods.isManageableBy = function(user, action = 'update') {
+  return Boolean(user) && canOnDocument(user, 'pages', action, this.owner);
+};
+
+// Query filter matching pages that are live at the given moment.
+// Pages saved before the workflow existed have no status and are treated as published.
+pageSchema.statics.publishedFilter = function(now = new Date()) {
+  return {
+    $and: [
+      {
+        $or: [
+          { status: 'published', $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+          { status: 'scheduled', publishAt: { $lte: now } },
+          { status: { $exists: false } }
+        ]
+      },
+      { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+    ]
+  };
+};
+
 // Index for better query performance
 // Note: slug index is already created by 'unique: true' in schema
 pageSchema.index({ groups: 1 });
 pageSchema.index({ createdAt: -1 });
-pageSchema.index({ metaTitle: 'text', metaDescription: 'text', metaKeywords: 'text' });
+pageSchema.index({ status: 1, publishAt: 1 });
+pageSchema.index({ owner: 1 });
+pageSchema.index({ imageUrl: 1 });
+pageSchema.index({ thumbnailUrl: 1 });
+pageSchema.index({ audioUrl: 1 });
+pageSchema.index(
+  {
+    title: 'text',
+    metaTitle: 'text',
+    tags: 'text',
+    description: 'text',
+    metaDescription: 'text',
+    metaKeywords: 'text',
+    content: 'text'
+  },
+  {
+    name: 'page_search',
+    weights: {
+      title: 10,
+      metaTitle: 8,
+      tags: 6,
+      description: 4,
+      metaDescription: 4,
+      metaKeywords: 3,
+      content: 1
+    }
+  }
+);
 
 const Page = mongoose.model('Page', pageSchema);
 
@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+import { diffObjects } from '../utils/diff.js';
+
+// Page fields that are bookkeeping rather than content and are never versioned
+const EXCLUDED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'owner'];
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, {
+  _id: false
+});
+
+const pageRevisionSchema = new mongoose.Schema({
+  page: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Page',
+    required: true,
+    immutable: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: [1, 'Version must be at least 1'],
+    immutable: true
+  },
+  // Full copy of the page content as of this revision
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    immutable: true
+  },
+  // Field-level diff against the previous revision
+  changes: {
+    type: [changeSchema],
+    default: [],
+    immutable: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+  action: {
+    type: String,
+    // 'baseline' is the state of a page that predates revision history, recorded before its first edit
+    enum: ['baseline', 'create', 'update', 'status', 'restore'],
+    default: 'update',
+    immutable: true
+  },
+  // Version this revision was restored from, when action is 'restore'
+  restoredFrom: {
+    type: Number,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Revisions are append-only
+const rejectMutation = function(next) {
+  next(new Error('Page revisions are immutable'));
+};
+pageRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectMutation);
+pageRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+// Plain copy of a page's versioned fields
+pageRevisionSchema.statics.snapshot = function(page) {
+  const data = typeof page.toObject === 'function' ? page.toObject({ depopulate: true }) : { ...page };
+  for (const field of EXCLUDED_FIELDS) {
+    delete data[field];
+  }
+  return data;
+};
+
+// How often a revision is retried when a concurrent save of the same page took its version
+const VERSION_ATTEMPTS = 5;
+
+// Create the next revision of a page. Versions are unique per page, so when a concurrent
+// save claims the same number first the next one is tried. Within a transaction (which a
+// failed write aborts) there is no retry: the page's own save keeps concurrent saves apart.
+pageRevisionSchema.statics.append = async function(fields, { session } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ page: fields.page }).sort({ version: -1 }).select('version').session(session);
+
+    try {
+      const [revision] = await this.create([{ ...fields, version: latest ? latest.version + 1 : 1 }], { session });
+      return revision;
+    } catch (error) {
+      if (error.code !== 11000 || session || attempt >= VERSION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Store a new revision for a page that has just been saved.
+// `previous` is the snapshot taken before the change (null for a new page); pass the
+// `session` the page was saved in so the page and its revision are written together.
+pageRevisionSchema.statics.record = async function({ page, previous = null, user, action = 'update', restoredFrom, session }) {
+  const snapshot = this.snapshot(page);
+  const changes = diffObjects(previous || {}, snapshot);
+
+  if (previous && changes.length === 0) {
+    return null;
+  }
+
+  // Pages created before revisions existed get their prior state as a baseline first,
+  // so their first edit can be compared with and rolled back to it
+  if (previous && !(await this.exists({ page: page._id }).session(session))) {
+    try {
+      await this.create([{ page: page._id, version: 1, snapshot: previous, action: 'baseline' }], { session });
+    } catch (error) {
+      // A concurrent save recorded it already
+      if (error.code !== 11000 || session) throw error;
+    }
+  }
+
+  return this.append({
+    page: page._id,
+    snapshot,
+    changes,
+    changedBy: user?._id,
+    action,
+    restoredFrom
+  }, { session });
+};
+
+pageRevisionSchema.index({ page: 1, version: -1 }, { unique: true });
+
+const PageRevision = mongoose.model('PageRevision', pageRevisionSchema);
+
+export default PageRevision;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Window within which repeat events from the same listener count once
+export const PLAY_DEDUPE_WINDOW_MS = 30 * 60 * 1000; // 30 minutes
+
+const playEventSchema = new mongoose.Schema({
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: ['start', 'complete'],
+    required: true
+  },
+  // Hash of IP and user agent; never the raw values
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  // track:fingerprint:event:window, unique so concurrent duplicates are rejected by the database
+  dedupeKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  position: {
+    type: Number,
+    min: 0
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Raw events are only needed for duplicate detection; the daily rollup keeps the history
+playEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 2 * 24 * 60 * 60 });
+
+const PlayEvent = mongoose.model('PlayEvent', playEventSchema);
+
+export default PlayEvent;
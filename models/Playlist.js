@@ -1,4 +1,48 @@
 import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import Track, { TRACK_SORTS } from './Track.js';
+import { formatDuration } from '../utils/format.js';
+import { permissionScope, canOnDocument } from '../config/permissions.js';
+
+export const PLAYLIST_MODES = ['manual', 'smart'];
+
+// Rules that define the tracks of a smart playlist. Every rule that is set must match.
+const smartRulesSchema = new mongoose.Schema({
+  categories: {
+    type: [String],
+    default: undefined
+  },
+  authors: {
+    type: [String],
+    default: undefined
+  },
+  trending: {
+    type: Boolean,
+    default: undefined
+  },
+  releasedFrom: Date,
+  releasedTo: Date,
+  // Rolling window, e.g. 30 for "released this month"
+  releasedWithinDays: {
+    type: Number,
+    min: [1, 'Release window must be at least 1 day']
+  },
+  minPlays: {
+    type: Number,
+    min: [0, 'Minimum plays cannot be negative']
+  },
+  sort: {
+    type: String,
+    enum: Object.keys(TRACK_SORTS),
+    default: 'newest'
+  },
+  limit: {
+    type: Number,
+    min: [1, 'Limit must be at least 1'],
+    max: [200, 'Limit cannot be more than 200'],
+    default: 50
+  }
+}, { _id: false });
 
 const playlistSchema = new mongoose.Schema({
   title: {
@@ -16,6 +60,13 @@ const playlistSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Track count cannot be negative']
   },
+  // Total running time of the tracks in seconds, kept up to date from the tracks
+  durationSeconds: {
+    type: Number,
+    min: [0, 'Duration cannot be negative'],
+    default: 0
+  },
+  // Display value derived from durationSeconds
   duration: {
     type: String,
     trim: true
@@ -24,19 +75,52 @@ const playlistSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Display name of the author; ownership is decided by `owner`
   createdBy: {
     type: String,
     trim: true,
     maxlength: [100, 'Created by cannot be more than 100 characters']
   },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Ordered: the position in this array is the episode order
   tracks: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Track'
   }],
+  // Incremented on every change to tracks, so editors can detect concurrent edits
+  tracksVersion: {
+    type: Number,
+    default: 0
+  },
   isPublic: {
     type: Boolean,
     default: true
   },
+  // Manual playlists are edited by hand; smart playlists get their tracks from `rules`
+  mode: {
+    type: String,
+    enum: PLAYLIST_MODES,
+    default: 'manual'
+  },
+  rules: smartRulesSchema,
+  rulesEvaluatedAt: {
+    type: Date,
+    default: null
+  },
+  // Unlisted links that let anyone holding the token view a private playlist
+  shareLinks: {
+    type: [{
+      label: { type: String, trim: true, maxlength: 100 },
+      createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      createdAt: { type: Date, default: Date.now },
+      expiresAt: { type: Date, default: null },
+      revokedAt: { type: Date, default: null }
+    }],
+    select: false
+  },
   tags: {
     type: [String],
     default: [],
@@ -51,6 +135,19 @@ const playlistSchema = new mongoose.Schema({
   timestamps: true // Adds createdAt and updatedAt fields
 });
 
+playlistSchema.pre('validate', function(next) {
+  if (this.mode === 'smart') {
+    if (!this.rules) {
+      this.rules = {};
+    }
+    const { releasedFrom, releasedTo } = this.rules;
+    if (releasedFrom && releasedTo && releasedTo < releasedFrom) {
+      this.invalidate('rules.releasedTo', 'releasedTo must not be before releasedFrom');
+    }
+  }
+  next();
+});
+
 // Pre-save middleware to update trackCount based on tracks array
 playlistSchema.pre('save', function(next) {
   if (this.tracks) {
@@ -59,11 +156,127 @@ playlistSchema.pre('save', function(next) {
   next();
 });
 
+// Sum of the durations of the given tracks, in seconds
+const totalDuration = async (trackIds = [], session = null) => {
+  if (trackIds.length === 0) {
+    return 0;
+  }
+  const [result] = await Track.aggregate([
+    { $match: { _id: { $in: trackIds } } },
+    { $group: { _id: null, total: { $sum: '$durationSeconds' } } }
+  ]).session(session);
+  return result?.total || 0;
+};
+
+// Recompute the running time whenever the track list changes
+playlistSchema.pre('save', async function() {
+  if (this.isNew || this.isModified('tracks')) {
+    this.durationSeconds = await totalDuration(this.tracks, this.$session());
+    this.duration = formatDuration(this.durationSeconds);
+  }
+});
+
+// Refresh track counts and running times of playlists after their tracks changed
+playlistSchema.statics.refreshTotals = async function(playlistIds = [], { session = null } = {}) {
+  const playlists = await this.find({ _id: { $in: playlistIds } }).select('tracks').session(session);
+
+  // Sequential: operations sharing a transaction session must not run in parallel
+  for (const playlist of playlists) {
+    const durationSeconds = await totalDuration(playlist.tracks, session);
+    await this.updateOne(
+      { _id: playlist._id },
+      { $set: { durationSeconds, duration: formatDuration(durationSeconds), trackCount: playlist.tracks.length } },
+      { session }
+    );
+  }
+};
+
+// Filter for the playlists a user may see: public ones and their own, or everything for
+// roles that may update any playlist
+playlistSchema.statics.visibleTo = function(user) {
+  if (permissionScope(user, 'playlists', 'update') === 'any') {
+    return {};
+  }
+  if (user) {
+    return { $or: [{ isPublic: true }, { owner: user._id }] };
+  }
+  return { isPublic: true };
+};
+
+playlistSchema.methods.isOwnedBy = function(user) {
+  return Boolean(user && this.owner && this.owner.equals(user._id));
+};
+
+// Whether the user's role allows the action ('update' or 'delete') on this playlist
+playlistSchema.methods.isManageableBy = function(user, action = 'update') {
+  return Boolean(user) && canOnDocument(user, 'playlists', action, this.owner);
+};
+
+playlistSchema.methods.isVisibleTo = function(user) {
+  return this.isPublic || this.isManageableBy(user);
+};
+
+const SHARE_TOKEN_AUDIENCE = 'playlist-share';
+
+const shareSecret = () => process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+// Add a share link and return its signed token. Only the link id is stored, so the token
+// cannot be read back later, and revoking the link invalidates the token.
+// The playlist must have been loaded with `+shareLinks`.
+playlistSchema.methods.createShareLink = async function({ user, label, expiresAt = null } = {}) {
+  const link = this.shareLinks.create({ label, createdBy: user?._id, expiresAt });
+  this.shareLinks.push(link);
+  await this.save();
+
+  const options = { audience: SHARE_TOKEN_AUDIENCE, subject: this._id.toString(), jwtid: link._id.toString() };
+  if (expiresAt) {
+    options.expiresIn = Math.max(1, Math.floor((expiresAt.getTime() - Date.now()) / 1000));
+  }
+  const token = jwt.sign({}, shareSecret(), options);
+
+  return { link, token };
+};
+
+// The playlist a share token grants access to, or null when the token is invalid, expired or revoked
+playlistSchema.statics.findByShareToken = async function(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, shareSecret(), { audience: SHARE_TOKEN_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+
+  if (!mongoose.isValidObjectId(payload.sub) || !mongoose.isValidObjectId(payload.jti)) {
+    return null;
+  }
+
+  const now = new Date();
+  return this.findOne({
+    _id: payload.sub,
+    shareLinks: {
+      $elemMatch: {
+        _id: payload.jti,
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      }
+    }
+  });
+};
+
 // Index for better query performance
+playlistSchema.index({ owner: 1 });
+playlistSchema.index({ mode: 1, rulesEvaluatedAt: 1 });
 playlistSchema.index({ createdBy: 1 });
 playlistSchema.index({ isPublic: 1 });
 playlistSchema.index({ tags: 1 });
 playlistSchema.index({ createdAt: -1 });
+playlistSchema.index(
+  { title: 'text', tags: 'text', description: 'text' },
+  {
+    name: 'playlist_search',
+    weights: { title: 10, tags: 6, description: 2 }
+  }
+);
 
 const Playlist = mongoose.model('Playlist', playlistSchema);
 
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+// Normalise a slug or site path to the form redirects are stored and looked up by
+export const normalizeRedirectPath = (path = '') => {
+  return String(path)
+    .trim()
+    .toLowerCase()
+    .replace(/^\/+|\/+$/g, '');
+};
+
+const redirectSchema = new mongoose.Schema({
+  // Retired slug or legacy site path, stored without leading/trailing slashes
+  from: {
+    type: String,
+    required: [true, 'Source path is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [500, 'Source path cannot be more than 500 characters'],
+    set: normalizeRedirectPath
+  },
+  // Page the redirect points at; its current slug is resolved at request time
+  page: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Page'
+  },
+  // Explicit destination path or URL for redirects not tied to a page
+  to: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Destination cannot be more than 500 characters']
+  },
+  statusCode: {
+    type: Number,
+    enum: {
+      values: [301, 302],
+      message: 'Status code must be 301 or 302'
+    },
+    default: 301
+  },
+  source: {
+    type: String,
+    enum: ['slug-change', 'manual'],
+    default: 'manual'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  hits: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastHitAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// A redirect needs somewhere to go
+redirectSchema.pre('validate', function(next) {
+  if (!this.page && !this.to) {
+    this.invalidate('to', 'Either a target page or a destination is required');
+  }
+  next();
+});
+
+// Remember a page's retired slug and retire any redirect now shadowed by its new slug
+redirectSchema.statics.recordSlugChange = async function(page, oldSlug) {
+  const from = normalizeRedirectPath(oldSlug);
+  // Joins the transaction the page is saved in, if any
+  const session = page.$session();
+
+  await this.deleteMany({ from: normalizeRedirectPath(page.slug) }, { session });
+
+  if (!from || from === page.slug) {
+    return null;
+  }
+
+  return this.findOneAndUpdate(
+    { from },
+    { $set: { page: page._id, source: 'slug-change', statusCode: 301 }, $unset: { to: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true, session }
+  );
+};
+
+// Count a redirect being followed without blocking the response
+redirectSchema.methods.trackHit = function() {
+  this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } }
+  ).catch(error => console.error('Error tracking redirect hit:', error));
+};
+
+// Note: from index is already created by 'unique: true' in schema
+redirectSchema.index({ page: 1 });
+redirectSchema.index({ source: 1 });
+
+const Redirect = mongoose.model('Redirect', redirectSchema);
+
+export default Redirect;
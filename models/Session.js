@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// How many rotated-out refresh tokens a session remembers for reuse detection
+export const PREVIOUS_TOKEN_LIMIT = 20;
+
+// A signed-in device. The refresh token itself is never stored, only its SHA-256 hash;
+// each refresh replaces it, and presenting a replaced token again revokes the session.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Readable summary of the user agent, e.g. "Chrome on macOS"
+  device: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // logout, logout-all, admin, password-change, password-reset, deactivated, reuse-detected
+  revokedReason: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Filter for sessions that can still be used
+sessionSchema.statics.activeFilter = function(now = new Date()) {
+  return { revokedAt: null, expiresAt: { $gt: now } };
+};
+
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -1,4 +1,16 @@
 import mongoose from 'mongoose';
+import Media, { MEDIA_REFERENCES } from './Media.js';
+import { parseDuration, formatDuration, parseCount, formatCount, parseDate, formatDate } from '../utils/format.js';
+
+// Sort orders accepted by GET /api/tracks and smart playlist rules
+export const TRACK_SORTS = {
+  newest: { createdAt: -1 },
+  popular: { listenerCount: -1, createdAt: -1 },
+  trending: { trendingScore: -1, createdAt: -1 },
+  released: { releaseDate: -1, createdAt: -1 },
+  longest: { durationSeconds: -1, createdAt: -1 },
+  shortest: { durationSeconds: 1, createdAt: -1 }
+};
 
 const trackSchema = new mongoose.Schema({
   title: {
@@ -16,6 +28,27 @@ const trackSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Description cannot be more than 500 characters']
   },
+  // Running time in seconds
+  durationSeconds: {
+    type: Number,
+    min: [0, 'Duration cannot be negative'],
+    default: null
+  },
+  listenerCount: {
+    type: Number,
+    min: [0, 'Listener count cannot be negative'],
+    default: null,
+    validate: {
+      validator: value => value === null || Number.isInteger(value),
+      message: 'Listener count must be an integer'
+    }
+  },
+  releaseDate: {
+    type: Date,
+    default: null
+  },
+  // Display values derived from the typed fields above. Writing one of them
+  // (as older clients do) parses it into the matching typed field.
   duration: {
     type: String,
     trim: true
@@ -38,26 +71,123 @@ const trackSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Category cannot be more than 50 characters']
   },
+  // Set by the trending job from recent play velocity
   trending: {
     type: Boolean,
     default: false
   },
+  trendingScore: {
+    type: Number,
+    default: 0
+  },
   audioUrl: {
     type: String,
     trim: true
   },
+  // Technical details of the audio file, filled in when it is uploaded through the API
+  audioFile: {
+    storageId: String,
+    originalName: String,
+    bytes: Number,
+    format: String,
+    container: String,
+    codec: String,
+    bitrate: Number,
+    sampleRate: Number,
+    channels: Number,
+    album: String
+  },
   playlists: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Playlist'
   }]
 }, {
-  timestamps: true
+  timestamps: true,
+  suppressReservedKeysWarning: true // 'listeners' predates the typed fields and is kept for clients
+});
+
+// Parse a display string into its typed field when the string was written by a client,
+// or when the typed field has not been filled in yet (documents saved before it existed).
+// Returns false when the display string could not be parsed and must be left untouched.
+const syncTypedField = (doc, display, typed, parse, message) => {
+  if (doc.isModified(typed) || (!doc.isModified(display) && doc[typed] !== null && doc[typed] !== undefined)) {
+    return true;
+  }
+
+  const value = parse(doc[display]);
+  if (doc[display] && value === null) {
+    // Reject bad input, but never block saving a legacy value nobody touched
+    if (doc.isModified(display)) {
+      doc.invalidate(display, message);
+    }
+    return false;
+  }
+  doc[typed] = value;
+  return true;
+};
+
+// Keep the typed fields and their display strings in step.
+// A typed field written directly wins over a display string sent alongside it.
+trackSchema.pre('validate', function(next) {
+  const fields = [
+    ['duration', 'durationSeconds', parseDuration, formatDuration, 'Duration must be in seconds or [HH:]MM:SS form'],
+    ['listeners', 'listenerCount', value => (value ? parseCount(value) : 0), formatCount, 'Listeners must be a number such as 1234 or 1.2K'],
+    ['date', 'releaseDate', parseDate, formatDate, 'Date must be a valid date']
+  ];
+
+  for (const [display, typed, parse, format, message] of fields) {
+    if (syncTypedField(this, display, typed, parse, message)) {
+      this[display] = format(this[typed]);
+    }
+  }
+  next();
+});
+
+// When the audio URL is set without an upload, file details are missing or describe the
+// old file: take them from the media catalog entry of the URL, or drop them
+trackSchema.pre('save', async function() {
+  if (!this.isModified('audioUrl') || this.isModified('audioFile')) {
+    return;
+  }
+
+  const entry = this.audioUrl
+    ? await Media.findOne({ url: this.audioUrl }).select('storageId bytes format').session(this.$session())
+    : null;
+  this.audioFile = entry ? { storageId: entry.storageId, bytes: entry.bytes, format: entry.format } : undefined;
+});
+
+// Keep the media usage index in step with the track's audio and thumbnail URLs
+trackSchema.pre('save', function(next) {
+  this.$locals.mediaChanged = this.isNew || MEDIA_REFERENCES.Track.some(field => this.isModified(field));
+  next();
+});
+
+trackSchema.post('save', async function() {
+  if (this.$locals.mediaChanged) {
+    await Media.recordUsage('Track', this, { session: this.$session() });
+  }
+});
+
+trackSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await Media.releaseUsage(this._id, { session: this.$session() });
 });
 
 // Index for better query performance
 trackSchema.index({ category: 1 });
 trackSchema.index({ author: 1 });
 trackSchema.index({ createdAt: -1 });
+trackSchema.index({ listenerCount: -1 });
+trackSchema.index({ trending: 1, trendingScore: -1 });
+trackSchema.index({ releaseDate: -1 });
+trackSchema.index({ audioUrl: 1 });
+trackSchema.index({ thumbnail: 1 });
+trackSchema.index(
+  { title: 'text', author: 'text', category: 'text', description: 'text' },
+  {
+    name: 'track_search',
+    weights: { title: 10, author: 6, category: 4, description: 2 }
+  }
+);
 
 const Track = mongoose.model('Track', trackSchema);
 
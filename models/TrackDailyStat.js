@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// Daily rollup of accepted play events per track
+const trackDailyStatSchema = new mongoose.Schema({
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true
+  },
+  // Midnight UTC of the day the plays happened
+  day: {
+    type: Date,
+    required: true
+  },
+  starts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  completions: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Midnight UTC for a moment in time
+export const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Count one accepted event in the rollup
+trackDailyStatSchema.statics.increment = function(trackId, event, at = new Date()) {
+  const field = event === 'complete' ? 'completions' : 'starts';
+  return this.updateOne(
+    { track: trackId, day: startOfDay(at) },
+    { $inc: { [field]: 1 } },
+    { upsert: true }
+  );
+};
+
+trackDailyStatSchema.index({ track: 1, day: -1 }, { unique: true });
+trackDailyStatSchema.index({ day: -1 });
+
+const TrackDailyStat = mongoose.model('TrackDailyStat', trackDailyStatSchema);
+
+export default TrackDailyStat;
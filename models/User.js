@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { ROLES } from '../config/permissions.js';
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -23,15 +25,32 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
+  // Permissions per role are defined in config/permissions.js
   role: {
     type: String,
-    enum: ['admin', 'user'],
-    default: 'admin'
+    enum: {
+      values: ROLES,
+      message: 'Role must be one of: ' + ROLES.join(', ')
+    },
+    default: 'viewer'
   },
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  // Set once the user follows the verification link sent to their address
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // Set when an admin resets the password; the user must choose a new one before doing anything else
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  // Tokens issued before this moment are no longer accepted
+  passwordChangedAt: Date
 }, {
   timestamps: true
 });
@@ -40,6 +59,11 @@ const userSchema = new mongoose.Schema({
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
 
+  if (!this.isNew) {
+    // A second back, so the token issued along with the new password stays valid
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
+
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
@@ -54,6 +78,22 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Hash of a random password, made on first use
+let dummyPasswordHash;
+
+// Spend as long as comparePassword for a login without an account, so response times
+// do not reveal which usernames exist. Always resolves to false.
+userSchema.statics.compareDummyPassword = async function(candidatePassword) {
+  dummyPasswordHash ??= bcrypt.genSalt(12).then(salt => bcrypt.hash(crypto.randomBytes(16).toString('hex'), salt));
+  await bcrypt.compare(candidatePassword, await dummyPasswordHash);
+  return false;
+};
+
+// Whether the password changed after a token issued at `issuedAt` (seconds, as in the JWT iat claim)
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  return Boolean(this.passwordChangedAt) && issuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
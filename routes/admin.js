@@ -0,0 +1,181 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, query, validationResult } from 'express-validator';
+import { authenticate, requireAdmin } from '../middleware/index.js';
+import { checkIntegrity } from '../jobs/integrity.js';
+import LoginLockout from '../models/LoginLockout.js';
+import { THROTTLE_SCOPES } from '../models/LoginThrottle.js';
+import { unlockLogin } from '../services/loginThrottle.js';
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Every admin route requires an authenticated admin
+router.use(authenticate, requireAdmin);
+
+// GET /api/admin/integrity - Report broken references between tracks and playlists
+router.get('/integrity', async (req, res) => {
+  try {
+    const report = await checkIntegrity({ fix: false });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error checking data integrity:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking data integrity',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/admin/integrity/repair - Repair broken references and report what was found
+router.post('/integrity/repair', async (req, res) => {
+  try {
+    const report = await checkIntegrity({ fix: true });
+
+    res.json({
+      success: true,
+      message: 'Integrity problems repaired',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error repairing data integrity:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error repairing data integrity',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/admin/login-lockouts - Lockouts after repeated failed logins, newest first, with the
+// usernames tried; many IP lockouts trying many usernames point at credential stuffing
+router.get('/login-lockouts',
+  query('scope').optional().isIn(THROTTLE_SCOPES).withMessage(`Scope must be one of: ${THROTTLE_SCOPES.join(', ')}`),
+  query('active').optional().isBoolean().withMessage('active must be a boolean'),
+  query('user').optional().isMongoId().withMessage('Invalid user ID'),
+  query('since').optional().isISO8601().withMessage('since must be an ISO 8601 date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { scope, active, user, ip, since, page = 1, limit = 20 } = req.query;
+      const skip = (page - 1) * limit;
+
+      const filter = {};
+
+      if (scope) {
+        filter.scope = scope;
+      }
+
+      if (active === 'true') {
+        Object.assign(filter, LoginLockout.activeFilter());
+      }
+
+      if (user) {
+        filter.user = user;
+      }
+
+      if (ip) {
+        filter.ip = ip;
+      }
+
+      if (since) {
+        filter.createdAt = { $gte: new Date(since) };
+      }
+
+      const [lockouts, total, summary] = await Promise.all([
+        LoginLockout.find(filter)
+          .populate('user', 'username email')
+          .populate('unlockedBy', 'username')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        LoginLockout.countDocuments(filter),
+        // Per scope: how many lockouts, from how many IPs, trying how many distinct usernames
+        LoginLockout.aggregate([
+          { $match: user ? { ...filter, user: new mongoose.Types.ObjectId(user) } : filter },
+          { $group: { _id: '$scope', lockouts: { $sum: 1 }, ips: { $addToSet: '$ip' }, identifiers: { $push: '$identifiers' } } },
+          {
+            $project: {
+              _id: 0,
+              scope: '$_id',
+              lockouts: 1,
+              ips: { $size: '$ips' },
+              identifiers: {
+                $size: {
+                  $setUnion: [{ $reduce: { input: '$identifiers', initialValue: [], in: { $concatArrays: ['$$value', '$$this'] } } }]
+                }
+              }
+            }
+          },
+          { $sort: { scope: 1 } }
+        ])
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          lockouts,
+          summary,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching login lockouts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching login lockouts',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/admin/login-lockouts/unlock-ip - Lift the lockout of a client IP and clear its failed attempts
+router.post('/login-lockouts/unlock-ip',
+  body('ip').isIP().withMessage('Please provide a valid IP address'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await unlockLogin('ip', req.body.ip, req.user);
+
+      res.json({
+        success: true,
+        message: result.wasLocked ? `${req.body.ip} unlocked` : `${req.body.ip} was not locked; failed attempts cleared`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error unlocking IP:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error unlocking IP',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
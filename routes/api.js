@@ -1,6 +1,12 @@
 import express from 'express';
-import axios from 'axios';
-import { authenticate } from '../middleware/index.js';
+import { authenticate, requirePermission, receiveFile } from '../middleware/index.js';
+import { permissionScope } from '../config/permissions.js';
+import Media from '../models/Media.js';
+import { getStorage, mediaFolders, StorageError } from '../storage/index.js';
+import { uploadMedia, renameMedia, removeMedia } from '../services/mediaCatalog.js';
+import { ensureMediaCatalog } from '../jobs/mediaCatalog.js';
+import { isAudioFile } from '../utils/audioMetadata.js';
+import { escapeRegExp } from '../utils/search.js';
 
 const router = express.Router();
 
@@ -73,112 +79,193 @@ router.get('/pages/:id', (req, res) => {
   });
 });
 
-// Get uploaded images from Cloudinary
-router.get('/images', async (req, res) => {
-  try {
-    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
-    const apiKey = process.env.CLOUDINARY_API_KEY;
-    const apiSecret = process.env.CLOUDINARY_API_SECRET;
-
-    if (!cloudName || !apiKey || !apiSecret) {
-      return res.status(500).json({
-        error: 'Cloudinary configuration missing',
-        message: 'Server configuration error'
-      });
-    }
+// Media routes go through the configured storage driver (see storage/index.js) and the
+// Media catalog: listings are read from the catalog, changes go to storage and the catalog.
+// Responses keep the field names the CMS frontend already reads.
+
+// Image in the shape of a Cloudinary resource, as GET /api/images has always returned
+const toImageResource = (item) => ({
+  public_id: item.id,
+  secure_url: item.url,
+  display_name: item.name,
+  folder: item.folder,
+  format: item.format,
+  bytes: item.bytes,
+  width: item.width,
+  height: item.height,
+  created_at: item.createdAt
+});
 
+const toAudioResource = (item) => ({
+  public_id: item.id,
+  secure_url: item.url,
+  created_at: item.createdAt,
+  name: item.name || null
+});
+
+// Storage errors carry their own status; anything else is a 500
+const sendStorageError = (res, error, summary) => {
+  console.error(`${summary}:`, error.message);
+  res.status(error instanceof StorageError ? error.status : 500).json({
+    error: summary,
+    message: error instanceof StorageError ? error.message : 'Internal server error',
+    // Where an asset refused for deletion is still used
+    usage: error.usage
+  });
+};
+
+// Reply 403 unless the user may change the asset. Roles limited to their own media
+// need a catalog entry showing they uploaded it.
+const rejectForeignMedia = async (req, res, publicId, action) => {
+  if (permissionScope(req.user, 'media', action) === 'any') {
+    return false;
+  }
+
+  const entry = await Media.findOne({ driver: getStorage().name, storageId: publicId }).select('uploadedBy');
+  if (entry?.isManageableBy(req.user, action)) {
+    return false;
+  }
+
+  res.status(403).json({
+    error: 'Access denied',
+    message: 'You can only change media you uploaded'
+  });
+  return true;
+};
+
+// Catalog query for the current driver's assets of one kind, optionally within a folder tree
+const catalogFilter = (kind, folder) => {
+  const filter = { driver: getStorage().name, kind, missingSince: null };
+  if (folder) {
+    filter.folder = { $regex: `^${escapeRegExp(folder)}(/|$)` };
+  }
+  return filter;
+};
+
+// One page of catalog entries as driver items; the cursor is the offset of the next page
+const catalogPage = async (filter, { limit, cursor }) => {
+  await ensureMediaCatalog();
+  const offset = parseInt(cursor) || 0;
+  const entries = await Media.find(filter)
+    .sort({ uploadedAt: -1, _id: -1 })
+    .skip(offset)
+    .limit(limit + 1);
+
+  return {
+    items: entries.slice(0, limit).map(entry => entry.toItem()),
+    nextCursor: entries.length > limit ? String(offset + limit) : null
+  };
+};
+
+// Folder paths clients may name: words and dashes, separated by slashes
+const FOLDER_PATTERN = /^[\w-]+(\/[\w-]+)*$/;
+
+// Reply 400 when an optional folder from the request is not a plain folder path.
+// Returns true when it replied.
+const rejectInvalidFolder = (res, folder, required = false) => {
+  if ((folder === undefined || folder === '') && !required) {
+    return false;
+  }
+  if (typeof folder === 'string' && FOLDER_PATTERN.test(folder)) {
+    return false;
+  }
+  res.status(400).json({
+    error: 'Invalid folder name',
+    message: 'Folder names may only contain letters, numbers, dashes and slashes'
+  });
+  return true;
+};
+
+const isImageFile = ({ mimetype = '' }) => mimetype.startsWith('image/');
+
+const maxImageUploadBytes = () => (parseInt(process.env.IMAGE_UPLOAD_MAX_MB) || 10) * 1024 * 1024;
+const maxAudioUploadBytes = () => (parseInt(process.env.AUDIO_UPLOAD_MAX_MB) || 100) * 1024 * 1024;
+
+// Get uploaded images
+router.get('/images', authenticate, requirePermission('media', 'read'), async (req, res) => {
+  try {
     const { limit = 10, next_cursor } = req.query;
 
-    const response = await axios.get(
-      `https://api.cloudinary.com/v1_1/${cloudName}/resources/image`,
-      {
-        params: {
-          max_results: parseInt(limit),
-          next_cursor: next_cursor || undefined,
-          type: 'upload'
-        },
-        auth: {
-          username: apiKey,
-          password: apiSecret
-        }
-      }
-    );
+    const { items, nextCursor } = await catalogPage(catalogFilter('image'), {
+      limit: parseInt(limit),
+      cursor: next_cursor
+    });
 
     res.json({
       message: 'Images retrieved successfully',
-      images: response.data.resources || [],
-      next_cursor: response.data.next_cursor,
-      has_more: !!response.data.next_cursor
+      images: items.map(toImageResource),
+      next_cursor: nextCursor,
+      has_more: !!nextCursor
     });
   } catch (error) {
-    console.error('Failed to fetch images from Cloudinary:', error.response?.data || error.message);
-    res.status(500).json({
-      error: 'Failed to fetch images',
-      message: error.response?.data?.message || 'Internal server error'
-    });
+    sendStorageError(res, error, 'Failed to fetch images');
   }
 });
 
-// Delete image from Cloudinary
-router.delete('/images/:publicId', async (req, res) => {
+// Upload an image
+router.post('/images',
+  authenticate,
+  requirePermission('media', 'create'),
+  receiveFile({ maxBytes: maxImageUploadBytes, accept: isImageFile, label: 'An image file' }),
+  async (req, res) => {
+    try {
+      const { buffer, originalname, mimetype } = req.file;
+
+      if (rejectInvalidFolder(res, req.body.folder)) {
+        return;
+      }
+
+      const { item } = await uploadMedia({
+        buffer,
+        fileName: originalname,
+        mimeType: mimetype,
+        folder: req.body.folder || mediaFolders().image,
+        kind: 'image',
+        user: req.user
+      });
+
+      res.status(201).json({
+        message: 'Image uploaded successfully',
+        image: toImageResource(item)
+      });
+    } catch (error) {
+      sendStorageError(res, error, 'Failed to upload image');
+    }
+  }
+);
+
+// Delete image (refused with 409 while pages or tracks use it, unless force=true)
+router.delete('/images/:publicId', authenticate, requirePermission('media', 'delete'), async (req, res) => {
   try {
     const { publicId } = req.params;
-    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
-    const apiKey = process.env.CLOUDINARY_API_KEY;
-    const apiSecret = process.env.CLOUDINARY_API_SECRET;
-
-    if (!cloudName || !apiKey || !apiSecret) {
-      return res.status(500).json({
-        error: 'Cloudinary configuration missing',
-        message: 'Server configuration error'
-      });
+
+    if (await rejectForeignMedia(req, res, publicId, 'delete')) {
+      return;
     }
 
-    const response = await axios.delete(
-      `https://api.cloudinary.com/v1_1/${cloudName}/resources/image/upload/${publicId}`,
-      {
-        auth: {
-          username: apiKey,
-          password: apiSecret
-        }
-      }
-    );
+    const deleted = await removeMedia(publicId, { kind: 'image', force: req.query.force === 'true' });
 
-    if (response.status === 200) {
-      res.json({
-        message: 'Image deleted successfully',
-        publicId
-      });
-    } else {
-      res.status(400).json({
+    if (!deleted) {
+      return res.status(404).json({
         error: 'Failed to delete image',
-        message: 'Cloudinary delete operation failed'
+        message: 'Image not found'
       });
     }
-  } catch (error) {
-    console.error('Failed to delete image from Cloudinary:', error.response?.data || error.message);
-    res.status(500).json({
-      error: 'Failed to delete image',
-      message: error.response?.data?.message || 'Internal server error'
+
+    res.json({
+      message: 'Image deleted successfully',
+      publicId
     });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to delete image');
   }
 });
 
-// Rename image in Cloudinary
-router.put('/images/:publicId', async (req, res) => {
+// Rename image
+router.put('/images/:publicId', authenticate, requirePermission('media', 'update'), async (req, res) => {
   try {
     const { publicId } = req.params;
     const { displayName } = req.body;
-    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
-    const apiKey = process.env.CLOUDINARY_API_KEY;
-    const apiSecret = process.env.CLOUDINARY_API_SECRET;
-
-    if (!cloudName || !apiKey || !apiSecret) {
-      return res.status(500).json({
-        error: 'Cloudinary configuration missing',
-        message: 'Server configuration error'
-      });
-    }
 
     if (!displayName) {
       return res.status(400).json({
@@ -187,156 +274,108 @@ router.put('/images/:publicId', async (req, res) => {
       });
     }
 
-    const response = await axios.post(
-      `https://api.cloudinary.com/v1_1/${cloudName}/resources/image/upload/${publicId}`,
-      {
-        display_name: displayName
-      },
-      {
-        auth: {
-          username: apiKey,
-          password: apiSecret
-        }
-      }
-    );
+    if (await rejectForeignMedia(req, res, publicId, 'update')) {
+      return;
+    }
+
+    const item = await renameMedia(publicId, { kind: 'image', displayName });
 
     res.json({
       message: 'Image display name updated successfully',
       publicId,
       displayName,
-      resource: response.data
+      resource: toImageResource(item)
     });
   } catch (error) {
-    console.error('Failed to update image display name in Cloudinary:', error.response?.data || error.message);
-    res.status(500).json({
-      error: 'Failed to update image display name',
-      message: error.response?.data?.message || 'Internal server error'
-    });
+    sendStorageError(res, error, 'Failed to update image display name');
   }
 });
 
-// Get uploaded audios from Cloudinary
-router.get('/audios', authenticate, async (req, res) => {
+// Get uploaded audios (the audio folder and all its subfolders)
+router.get('/audios', authenticate, requirePermission('media', 'read'), async (req, res) => {
   try {
-    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
-    const apiKey = process.env.CLOUDINARY_API_KEY;
-    const apiSecret = process.env.CLOUDINARY_API_SECRET;
-
-    if (!cloudName || !apiKey || !apiSecret) {
-      return res.status(500).json({
-        error: 'Cloudinary configuration missing',
-        message: 'Server configuration error',
-      });
-    }
-
     const limit = parseInt(req.query.limit) || 10;
-    const nextCursor = req.query.next_cursor;
-
-    // ✅ Cloudinary Search API uses "expression"
-    const params = new URLSearchParams({
-      expression: 'folder:da-orbit-audio*', // 👈 filter files in da-orbit-audio and all subfolders
-      resource_type: 'video',                // 👈 audio files are stored as "video"
-      max_results: limit.toString(),
-      with_field: 'context',                 // 👈 include context field in response
-    });
-
-    if (nextCursor) {
-      params.append('next_cursor', nextCursor); 
-    }
 
-    const auth = Buffer.from(`${apiKey}:${apiSecret}`).toString('base64');
-
-    const response = await axios.get(
-      `https://api.cloudinary.com/v1_1/${cloudName}/resources/search`,
-      {
-        params,
-        headers: {
-          Authorization: `Basic ${auth}`,
-        },
-      }
-    );
-
-    const audios = response.data.resources.map(resource => ({
-      public_id: resource.public_id,
-      secure_url: resource.secure_url,
-      created_at: resource.created_at,
-      name: resource.display_name || null,
-    }));
+    const { items, nextCursor } = await catalogPage(catalogFilter('audio', mediaFolders().audio), {
+      limit,
+      cursor: req.query.next_cursor
+    });
 
     res.json({
-      audios,
-      nextCursor: response.data.next_cursor,
-      hasMore: !!response.data.next_cursor,
+      audios: items.map(toAudioResource),
+      nextCursor,
+      hasMore: !!nextCursor
     });
   } catch (error) {
-    console.error('❌ Failed to fetch audios from Cloudinary:', error.response?.data || error.message);
-    res.status(500).json({
-      error: 'Failed to fetch audios',
-      message: error.response?.data?.message || 'Internal server error',
-    });
+    sendStorageError(res, error, 'Failed to fetch audios');
   }
 });
 
- router.delete('/audios/:publicId', authenticate, async (req, res) => {
-  try {
-    const { publicId } = req.params;
-    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
-    const apiKey = process.env.CLOUDINARY_API_KEY;
-    const apiSecret = process.env.CLOUDINARY_API_SECRET;
-
-    if (!cloudName || !apiKey || !apiSecret) {
-      return res.status(500).json({
-        error: 'Cloudinary configuration missing',
-        message: 'Server configuration error'
+// Upload an audio file without creating a track (see POST /api/tracks/upload for that)
+router.post('/audios',
+  authenticate,
+  requirePermission('media', 'create'),
+  receiveFile({ maxBytes: maxAudioUploadBytes, accept: isAudioFile, label: 'An audio file' }),
+  async (req, res) => {
+    try {
+      const { buffer, originalname, mimetype } = req.file;
+      const root = mediaFolders().audio;
+
+      if (rejectInvalidFolder(res, req.body.folder)) {
+        return;
+      }
+
+      const { item } = await uploadMedia({
+        buffer,
+        fileName: originalname,
+        mimeType: mimetype,
+        folder: req.body.folder ? `${root}/${req.body.folder}` : root,
+        kind: 'audio',
+        user: req.user
       });
+
+      res.status(201).json({
+        message: 'Audio uploaded successfully',
+        audio: toAudioResource(item)
+      });
+    } catch (error) {
+      sendStorageError(res, error, 'Failed to upload audio');
     }
+  }
+);
 
-    const auth = Buffer.from(`${apiKey}:${apiSecret}`).toString('base64');
+// Delete audio (refused with 409 while pages or tracks use it, unless force=true)
+router.delete('/audios/:publicId', authenticate, requirePermission('media', 'delete'), async (req, res) => {
+  try {
+    const { publicId } = req.params;
 
-    const response = await axios.delete(
-      `https://api.cloudinary.com/v1_1/${cloudName}/resources/video/upload/${publicId}`,
-      {
-        headers: {
-          Authorization: `Basic ${auth}`,
-        },
-      }
-    );
+    if (await rejectForeignMedia(req, res, publicId, 'delete')) {
+      return;
+    }
 
-    if (response.data.result === 'ok') {
-      res.json({
-        message: 'Audio deleted successfully',
-        publicId: publicId
-      });
-    } else {
-      res.status(400).json({
+    const deleted = await removeMedia(publicId, { kind: 'audio', force: req.query.force === 'true' });
+
+    if (!deleted) {
+      return res.status(404).json({
         error: 'Failed to delete audio',
-        message: 'Cloudinary delete operation failed'
+        message: 'Audio not found'
       });
     }
-  } catch (error) {
-    console.error('Failed to delete audio from Cloudinary:', error.response?.data || error.message);
-    res.status(500).json({
-      error: 'Failed to delete audio',
-      message: error.response?.data?.message || 'Internal server error'
+
+    res.json({
+      message: 'Audio deleted successfully',
+      publicId: publicId
     });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to delete audio');
   }
 });
 
-// Rename audio in Cloudinary
-router.put('/audios/:publicId', authenticate, async (req, res) => {
+// Rename audio
+router.put('/audios/:publicId', authenticate, requirePermission('media', 'update'), async (req, res) => {
   try {
     const { publicId } = req.params;
     const { displayName } = req.body;
-    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
-    const apiKey = process.env.CLOUDINARY_API_KEY;
-    const apiSecret = process.env.CLOUDINARY_API_SECRET;
-
-    if (!cloudName || !apiKey || !apiSecret) {
-      return res.status(500).json({
-        error: 'Cloudinary configuration missing',
-        message: 'Server configuration error'
-      });
-    }
 
     if (!displayName) {
       return res.status(400).json({
@@ -345,140 +384,64 @@ router.put('/audios/:publicId', authenticate, async (req, res) => {
       });
     }
 
-    const auth = Buffer.from(`${apiKey}:${apiSecret}`).toString('base64');
-
-    const response = await axios.post(
-      `https://api.cloudinary.com/v1_1/${cloudName}/resources/video/upload/${publicId}`,
-      {
-        display_name: displayName
-      },
-      {
-        headers: {
-          Authorization: `Basic ${auth}`,
-        },
-      }
-    );
+    if (await rejectForeignMedia(req, res, publicId, 'update')) {
+      return;
+    }
+
+    const item = await renameMedia(publicId, { kind: 'audio', displayName });
 
     res.json({
       message: 'Audio display name updated successfully',
       publicId,
       displayName,
-      resource: response.data
+      resource: toAudioResource(item)
     });
   } catch (error) {
-    console.error('Failed to update audio display name in Cloudinary:', error.response?.data || error.message);
-    res.status(500).json({
-      error: 'Failed to update audio display name',
-      message: error.response?.data?.message || 'Internal server error'
-    });
+    sendStorageError(res, error, 'Failed to update audio display name');
   }
 });
 
-// Get audio folders structure from Cloudinary
-router.get('/audio-folders', authenticate, async (req, res) => {
+// Get audio folders structure. Folder names come from storage (so empty folders show up);
+// their audios come from the catalog in a single query.
+router.get('/audio-folders', authenticate, requirePermission('media', 'read'), async (req, res) => {
   try {
-    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
-    const apiKey = process.env.CLOUDINARY_API_KEY;
-    const apiSecret = process.env.CLOUDINARY_API_SECRET;
-
-    if (!cloudName || !apiKey || !apiSecret) {
-      return res.status(500).json({
-        error: 'Cloudinary configuration missing',
-        message: 'Server configuration error',
-      });
+    const root = mediaFolders().audio;
+    await ensureMediaCatalog();
+
+    const [folders, entries] = await Promise.all([
+      getStorage().listFolders(root),
+      Media.find(catalogFilter('audio', root)).sort({ uploadedAt: -1, _id: -1 })
+    ]);
+
+    const audiosByFolder = new Map();
+    for (const entry of entries) {
+      const audios = audiosByFolder.get(entry.folder) || [];
+      audios.push({ ...toAudioResource(entry.toItem()), folder: entry.folder });
+      audiosByFolder.set(entry.folder, audios);
     }
+    const folderAudios = (path) => audiosByFolder.get(path) || [];
 
-    const auth = Buffer.from(`${apiKey}:${apiSecret}`).toString('base64');
-
-    // Helper function to fetch all resources with pagination
-    const fetchAllResources = async (expression) => {
-      let allResources = [];
-      let nextCursor = null;
-
-      do {
-        const params = new URLSearchParams({
-          expression,
-          resource_type: 'video',
-          max_results: '500',
-          with_field: 'context',
-        });
-
-        if (nextCursor) {
-          params.append('next_cursor', nextCursor);
-        }
-
-        const response = await axios.get(
-          `https://api.cloudinary.com/v1_1/${cloudName}/resources/search`,
-          {
-            params,
-            headers: {
-              Authorization: `Basic ${auth}`,
-            },
-          }
-        );
-
-        allResources = allResources.concat(response.data.resources || []);
-        nextCursor = response.data.next_cursor;
-      } while (nextCursor);
-
-      return allResources;
-    };
-
-    // First, get all folders under da-orbit-audio
-    const foldersResponse = await axios.get(
-      `https://api.cloudinary.com/v1_1/${cloudName}/folders/da-orbit-audio`,
-      {
-        headers: {
-          Authorization: `Basic ${auth}`,
-        },
-      }
-    );
+    // For each folder, get the audios
+    const folderStructure = folders.map((folder) => {
+      const audios = folderAudios(folder.path);
+
+      return {
+        name: folder.name,
+        path: folder.path,
+        audios: audios,
+        audioCount: audios.length,
+      };
+    });
 
-    const folders = foldersResponse.data.folders || [];
+    // Also get audios directly in the root audio folder
+    const rootAudios = folderAudios(root);
 
-    // For each folder, get the audios
-    const folderStructure = await Promise.all(
-      folders.map(async (folder) => {
-        const folderPath = folder.path;
-        const folderName = folder.name;
-
-        // Get audios in this specific folder
-        const allAudios = await fetchAllResources(`folder:${folderPath}`);
-
-        const audios = allAudios.map(resource => ({
-          public_id: resource.public_id,
-          secure_url: resource.secure_url,
-          created_at: resource.created_at,
-          name: resource.display_name || resource.public_id.split('/').pop(),
-          folder: folderPath,
-        }));
-
-        return {
-          name: folderName,
-          path: folderPath,
-          audios: audios,
-          audioCount: audios.length,
-        };
-      })
-    );
-
-    // Also get audios directly in the root da-orbit-audio folder
-    const rootAudios = await fetchAllResources(`folder:da-orbit-audio`);
-
-    const rootAudiosMapped = rootAudios.map(resource => ({
-      public_id: resource.public_id,
-      secure_url: resource.secure_url,
-      created_at: resource.created_at,
-      name: resource.display_name || resource.public_id.split('/').pop(),
-      folder: 'da-orbit-audio',
-    }));
-
-    if (rootAudiosMapped.length > 0) {
+    if (rootAudios.length > 0) {
       folderStructure.unshift({
         name: 'Root',
-        path: 'da-orbit-audio',
-        audios: rootAudiosMapped,
-        audioCount: rootAudiosMapped.length,
+        path: root,
+        audios: rootAudios,
+        audioCount: rootAudios.length,
       });
     }
 
@@ -488,11 +451,27 @@ router.get('/audio-folders', authenticate, async (req, res) => {
       totalAudios: folderStructure.reduce((sum, folder) => sum + folder.audioCount, 0),
     });
   } catch (error) {
-    console.error('❌ Failed to fetch audio folders from Cloudinary:', error.response?.data || error.message);
-    res.status(500).json({
-      error: 'Failed to fetch audio folders',
-      message: error.response?.data?.message || 'Internal server error',
+    sendStorageError(res, error, 'Failed to fetch audio folders');
+  }
+});
+
+// Create an audio folder under the audio root
+router.post('/audio-folders', authenticate, requirePermission('media', 'create'), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (rejectInvalidFolder(res, name, true)) {
+      return;
+    }
+
+    const folder = await getStorage().createFolder(`${mediaFolders().audio}/${name}`);
+
+    res.status(201).json({
+      message: 'Folder created successfully',
+      folder
     });
+  } catch (error) {
+    sendStorageError(res, error, 'Failed to create audio folder');
   }
 });
 
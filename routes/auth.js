@@ -1,20 +1,59 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import User from '../models/User.js';
+import { ROLES, ROLE_PERMISSIONS, can } from '../config/permissions.js';
+import { authenticate } from '../middleware/index.js';
+import {
+  issueSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+  sessionSummary,
+  SessionError
+} from '../services/sessions.js';
+import { consumeAccountToken, sendPasswordResetEmail, sendVerificationEmail } from '../services/accountTokens.js';
+import { acceptInvite, findPendingInvite, InviteError } from '../services/invites.js';
+import {
+  accountThrottleKey,
+  reserveLoginAttempt,
+  recordLoginFailure,
+  releaseLoginAttempt,
+  unlockLogin
+} from '../services/loginThrottle.js';
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET || 'your-secret-key-change-in-production',
-    { expiresIn: '24h' }
-  );
+// Whether accounts must confirm their email before they can log in
+const emailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Send a verification email without failing the request that triggered it
+const sendVerificationQuietly = async (user) => {
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+  }
+};
+
+// Run work once the response is sent, logging failures; for work whose duration must not
+// show in the response time
+const afterResponse = (action, work) => {
+  setImmediate(() => {
+    work().catch(error => console.error(`Error ${action}:`, error));
+  });
 };
 
-// Register new user
+// Token fields of a login-like response; `token` is the access token, kept under its old name
+const tokenResponse = ({ accessToken, refreshToken, expiresIn }) => ({
+  token: accessToken,
+  refreshToken,
+  expiresIn
+});
+
+// Register new user. Open only for the first account; after that admins can create accounts
+// here directly, but inviting people (/api/invites) lets them choose their own password.
 router.post('/register', [
   body('username')
     .trim()
@@ -26,7 +65,11 @@ router.post('/register', [
     .withMessage('Please provide a valid email'),
   body('password')
     .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
+    .withMessage('Password must be at least 6 characters long'),
+  body('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -38,7 +81,7 @@ router.post('/register', [
       });
     }
 
-    const { username, email, password } = req.body;
+    const { username, email, password, role } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({
@@ -55,7 +98,7 @@ router.post('/register', [
     // Check if this is the first user (allow registration without auth)
     const userCount = await User.countDocuments();
     if (userCount > 0) {
-      // For subsequent users, require authentication and admin role
+      // For subsequent users, require authentication and the users create permission
       const token = req.headers.authorization?.replace('Bearer ', '');
       if (!token) {
         return res.status(401).json({
@@ -65,10 +108,9 @@ router.post('/register', [
       }
 
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
-        const currentUser = await User.findById(decoded.userId);
+        const { user: currentUser } = await verifyAccessToken(token);
         
-        if (!currentUser || currentUser.role !== 'admin') {
+        if (!can(currentUser, 'users', 'create')) {
           return res.status(403).json({
             error: 'Access denied',
             message: 'Only admin users can create new accounts'
@@ -82,17 +124,20 @@ router.post('/register', [
       }
     }
 
-    // Create new user
+    // Create new user; the first account administers the site, later ones default to viewer
     const user = new User({
       username,
       email,
-      password
+      password,
+      role: userCount === 0 ? 'admin' : role
     });
 
     await user.save();
+    await sendVerificationQuietly(user);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Only someone registering themselves (the first account) is signed in; accounts an
+    // admin creates get their own session when they log in
+    const tokens = userCount === 0 ? tokenResponse(await issueSession(user, req)) : {};
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -100,9 +145,10 @@ router.post('/register', [
         id: user._id,
         username: user.username,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
@@ -141,24 +187,47 @@ router.post('/login', [
       $or: [{ username }, { email: username }]
     });
 
-    if (!user || !user.isActive) {
-      return res.status(401).json({
-        error: 'Authentication failed',
-        message: 'Invalid credentials'
+    // Reserve the attempt before checking the password; refused while the account or IP is throttled
+    const accountKey = accountThrottleKey(user, username);
+    const block = await reserveLoginAttempt({ ip: req.ip, accountKey, user, identifier: username });
+
+    if (block) {
+      res.set('Retry-After', String(block.retryAfter));
+      return res.status(429).json({
+        error: block.locked ? 'Login locked' : 'Too many attempts',
+        message: block.locked
+          ? `Too many failed logins; try again in ${Math.ceil(block.retryAfter / 60)} minutes`
+          : `Too many failed logins; try again in ${block.retryAfter} seconds`,
+        retryAfter: block.retryAfter
       });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
+    // Check password; unknown and inactive accounts fail the same way and take as long
+    const isPasswordValid = user
+      ? (await user.comparePassword(password)) && user.isActive
+      : await User.compareDummyPassword(password);
     if (!isPasswordValid) {
+      await recordLoginFailure({
+        ip: req.ip,
+        accountKey,
+        userAgent: req.get('User-Agent')
+      });
       return res.status(401).json({
         error: 'Authentication failed',
         message: 'Invalid credentials'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    await releaseLoginAttempt({ ip: req.ip, accountKey });
+
+    if (emailVerificationRequired() && !user.emailVerified) {
+      return res.status(403).json({
+        error: 'Email not verified',
+        message: 'Please confirm your email address using the link we sent you'
+      });
+    }
+
+    const tokens = tokenResponse(await issueSession(user, req));
 
     res.json({
       message: 'Login successful',
@@ -166,9 +235,12 @@ router.post('/login', [
         id: user._id,
         username: user.username,
         email: user.email,
-        role: user.role
+        role: user.role,
+        permissions: ROLE_PERMISSIONS[user.role] || {},
+        mustChangePassword: user.mustChangePassword,
+        emailVerified: user.emailVerified
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
@@ -192,15 +264,7 @@ router.get('/verify', async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
-    const user = await User.findById(decoded.userId).select('-password');
-
-    if (!user || !user.isActive) {
-      return res.status(401).json({
-        error: 'Invalid token',
-        message: 'User not found or inactive'
-      });
-    }
+    const { user } = await verifyAccessToken(token);
 
     res.json({
       message: 'Token is valid',
@@ -208,15 +272,20 @@ router.get('/verify', async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
-        role: user.role
+        role: user.role,
+        permissions: ROLE_PERMISSIONS[user.role] || {},
+        mustChangePassword: user.mustChangePassword,
+        emailVerified: user.emailVerified
       }
     });
 
   } catch (error) {
-    console.error('Token verification error:', error);
+    if (!(error instanceof SessionError)) {
+      console.error('Token verification error:', error);
+    }
     res.status(401).json({
       error: 'Invalid token',
-      message: 'Authentication failed'
+      message: error instanceof SessionError ? error.message : 'Authentication failed'
     });
   }
 });
@@ -233,15 +302,7 @@ router.get('/profile', async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
-    const user = await User.findById(decoded.userId).select('-password');
-
-    if (!user || !user.isActive) {
-      return res.status(401).json({
-        error: 'Invalid token',
-        message: 'User not found or inactive'
-      });
-    }
+    const { user } = await verifyAccessToken(token);
 
     res.json({
       message: 'Profile retrieved successfully',
@@ -250,18 +311,523 @@ router.get('/profile', async (req, res) => {
         username: user.username,
         email: user.email,
         role: user.role,
+        permissions: ROLE_PERMISSIONS[user.role] || {},
+        mustChangePassword: user.mustChangePassword,
+        emailVerified: user.emailVerified,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
     });
 
   } catch (error) {
-    console.error('Profile retrieval error:', error);
+    if (!(error instanceof SessionError)) {
+      console.error('Profile retrieval error:', error);
+    }
     res.status(401).json({
       error: 'Invalid token',
-      message: 'Authentication failed'
+      message: error instanceof SessionError ? error.message : 'Authentication failed'
+    });
+  }
+});
+
+// Change own password. Also the way out of a forced reset, so it authenticates the token
+// itself instead of using the authenticate middleware, which blocks those users.
+router.post('/change-password', [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        errors: errors.array()
+      });
+    }
+
+    const token = req.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({
+        error: 'No token provided',
+        message: 'Authentication required'
+      });
+    }
+
+    let session;
+    try {
+      ({ session } = await verifyAccessToken(token));
+    } catch (error) {
+      if (!(error instanceof SessionError)) throw error;
+      return res.status(401).json({
+        error: 'Invalid token',
+        message: error.message
+      });
+    }
+
+    // verifyAccessToken leaves out the password, which is needed to check the current one
+    const user = await User.findById(session.user);
+
+    const { currentPassword, newPassword } = req.body;
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'New password must differ from the current one'
+      });
+    }
+
+    user.password = newPassword;
+    user.mustChangePassword = false;
+    await user.save();
+
+    // Every session ends with the old password; this device gets a fresh one
+    await revokeUserSessions(user._id, 'password-change');
+    const tokens = tokenResponse(await issueSession(user, req));
+
+    res.json({
+      message: 'Password changed successfully',
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({
+      error: 'Password change failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Request a password reset link. The answer is the same whether or not the address belongs
+// to an account, so it cannot be used to find out who has one.
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        errors: errors.array()
+      });
+    }
+
+    // Answer before looking anything up, so the response time is the same either way
+    res.json({
+      message: 'If an account uses this email, a password reset link has been sent to it'
+    });
+
+    afterResponse('sending password reset email', async () => {
+      const user = await User.findOne({ email: req.body.email });
+      if (user && user.isActive) {
+        await sendPasswordResetEmail(user);
+      }
+    });
+
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({
+      error: 'Password reset failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Choose a new password with the token from a reset email. Every session of the account
+// ends; the user logs in again with the new password.
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        errors: errors.array()
+      });
+    }
+
+    const user = await consumeAccountToken(req.body.token, 'password-reset');
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'This reset link is invalid, expired or already used'
+      });
+    }
+
+    user.password = req.body.password;
+    user.mustChangePassword = false;
+    // The link arrived at the account's address, which confirms it
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeUserSessions(user._id, 'password-reset');
+    // Proving access to the mailbox also lifts a login lockout
+    await unlockLogin('account', accountThrottleKey(user));
+
+    res.json({
+      message: 'Password reset successfully; please log in with your new password'
+    });
+
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({
+      error: 'Password reset failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Confirm an email address with the token from a verification email
+router.post('/verify-email', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        errors: errors.array()
+      });
+    }
+
+    const user = await consumeAccountToken(req.body.token, 'email-verification');
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'This verification link is invalid, expired or already used'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified
+      }
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      error: 'Email verification failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Send a new verification link; earlier links stop working. Answers the same for unknown
+// and already verified addresses.
+router.post('/resend-verification', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        errors: errors.array()
+      });
+    }
+
+    // Answer before looking anything up, so the response time is the same either way
+    res.json({
+      message: 'If an unverified account uses this email, a verification link has been sent to it'
+    });
+
+    afterResponse('sending verification email', async () => {
+      const user = await User.findOne({ email: req.body.email });
+      if (user && user.isActive && !user.emailVerified) {
+        await sendVerificationEmail(user);
+      }
+    });
+
+  } catch (error) {
+    console.error('Verification resend error:', error);
+    res.status(500).json({
+      error: 'Verification resend failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Look up a pending invite so the accept page can show the address and role
+router.get('/invite', [
+  query('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invite token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        errors: errors.array()
+      });
+    }
+
+    const invite = await findPendingInvite(req.query.token);
+
+    if (!invite) {
+      return res.status(404).json({
+        error: 'Invalid invite',
+        message: 'This invite link is invalid, expired, revoked or already used'
+      });
+    }
+
+    res.json({
+      message: 'Invite is valid',
+      invite: {
+        email: invite.email,
+        role: invite.role,
+        expiresAt: invite.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Invite lookup error:', error);
+    res.status(500).json({
+      error: 'Invite lookup failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Accept an invite: create the account with the invited email and role and the chosen
+// username and password, and sign the new user in
+router.post('/accept-invite', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invite token is required'),
+  body('username')
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Username must be between 3 and 50 characters'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        errors: errors.array()
+      });
+    }
+
+    const { token, username, password } = req.body;
+    const { user } = await acceptInvite(token, { username, password });
+    const tokens = tokenResponse(await issueSession(user, req));
+
+    res.status(201).json({
+      message: 'Invite accepted; welcome aboard',
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        permissions: ROLE_PERMISSIONS[user.role] || {},
+        emailVerified: user.emailVerified
+      },
+      ...tokens
+    });
+
+  } catch (error) {
+    if (error instanceof InviteError) {
+      return res.status(error.status).json({
+        error: 'Invite not accepted',
+        message: error.message
+      });
+    }
+    console.error('Invite acceptance error:', error);
+    res.status(500).json({
+      error: 'Invite acceptance failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token (the old one stops working)
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        errors: errors.array()
+      });
+    }
+
+    const rotated = await rotateRefreshToken(req.body.refreshToken, req);
+
+    res.json({
+      message: 'Token refreshed',
+      ...tokenResponse(rotated)
+    });
+
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.status).json({
+        error: 'Invalid refresh token',
+        message: error.message
+      });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      error: 'Token refresh failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Log out this device
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await revokeSession(req.authSession._id, 'logout');
+
+    res.json({
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Log out every device, this one included
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user._id, 'logout-all');
+
+    res.json({
+      message: 'Logged out of all devices',
+      revoked: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user._id);
+
+    res.json({
+      message: 'Sessions retrieved successfully',
+      sessions: sessions.map(session => sessionSummary(session, req.authSession))
+    });
+
+  } catch (error) {
+    console.error('Session listing error:', error);
+    res.status(500).json({
+      error: 'Session listing failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// End one of the current user's sessions
+router.delete('/sessions/:id', authenticate, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        errors: errors.array()
+      });
+    }
+
+    const result = await revokeSession(req.params.id, 'logout', { user: req.user._id });
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'No active session with this ID'
+      });
+    }
+
+    res.json({
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Session revocation error:', error);
+    res.status(500).json({
+      error: 'Session revocation failed',
+      message: 'Internal server error'
     });
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
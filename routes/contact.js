@@ -1,6 +1,6 @@
 import express from 'express';
 import Contact from '../models/Contact.js';
-import { authenticate } from '../middleware/index.js';
+import { authenticate, requirePermission } from '../middleware/index.js';
 
 const router = express.Router();
 
@@ -183,7 +183,7 @@ router.post('/', async (req, res) => {
  *   get:
  *     tags:
  *       - Contact
- *     summary: Get all contact submissions (Admin only)
+ *     summary: Get all contact submissions (admins and editors)
  *     description: Retrieve paginated list of contact form submissions
  *     security:
  *       - bearerAuth: []
@@ -244,13 +244,15 @@ router.post('/', async (req, res) => {
  *                 limit:
  *                   type: integer
  *       401:
- *         description: Unauthorized - Admin access required
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Role lacks the contacts permission
  *       500:
  *         description: Internal server error
  */
 
-// Get all contacts (Admin only)
-router.get('/', authenticate, async (req, res) => {
+// Get all contacts (requires the contacts read permission)
+router.get('/', authenticate, requirePermission('contacts', 'read'), async (req, res) => {
   try {
     const { page = 1, limit = 10, search } = req.query;
     const skip = (page - 1) * limit;
@@ -299,7 +301,7 @@ router.get('/', authenticate, async (req, res) => {
  *   delete:
  *     tags:
  *       - Contact
- *     summary: Delete a contact submission (Admin only)
+ *     summary: Delete a contact submission (admins and editors)
  *     description: Delete a specific contact form submission
  *     security:
  *       - bearerAuth: []
@@ -327,13 +329,15 @@ router.get('/', authenticate, async (req, res) => {
  *       404:
  *         description: Contact not found
  *       401:
- *         description: Unauthorized - Admin access required
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Role lacks the contacts permission
  *       500:
  *         description: Internal server error
  */
 
-// Delete a contact (Admin only)
-router.delete('/:id', authenticate, async (req, res) => {
+// Delete a contact (requires the contacts delete permission)
+router.delete('/:id', authenticate, requirePermission('contacts', 'delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
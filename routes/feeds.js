@@ -0,0 +1,228 @@
+import express from 'express';
+import crypto from 'crypto';
+import Page from '../models/Page.js';
+import Group from '../models/Group.js';
+import { element, cdata, xmlDeclaration, mimeTypeFromUrl } from '../utils/xml.js';
+
+const router = express.Router();
+
+// Read lazily: environment variables are loaded after modules are imported
+const siteUrl = () => (process.env.SITE_URL || 'https://www.thefunneleffect.org').replace(/\/+$/, '');
+const siteName = () => process.env.SITE_NAME || 'The Funnel Effect';
+
+// The sitemap protocol caps a single file at 50,000 URLs
+const sitemapUrlLimit = () => Math.min(parseInt(process.env.SITEMAP_URL_LIMIT) || 50000, 50000);
+const FEED_ITEM_LIMIT = 50;
+const CACHE_CONTROL = 'public, max-age=900, stale-while-revalidate=3600'; // 15 minutes
+
+const pageUrl = (page) => `${siteUrl()}/${page.slug}`;
+const selfUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`;
+
+// Weak ETag over what a response lists: page ids and their update times, plus any other
+// strings it renders. Unlike the newest updatedAt it also changes when a page drops out
+// (unpublished, deleted) or enters the set without being saved (a publishAt passing).
+const listingEtag = (pages, ...extra) => {
+  const hash = crypto.createHash('sha1');
+  for (const page of pages) {
+    hash.update(`${page._id}:${new Date(page.updatedAt).getTime()};`);
+  }
+  hash.update(extra.join('\n'));
+  return `W/"${hash.digest('base64url')}"`;
+};
+
+// Set caching headers and report whether the client copy is still fresh
+const isFresh = (req, res, etag) => {
+  res.set('Cache-Control', CACHE_CONTROL);
+  res.set('ETag', etag);
+  return req.fresh;
+};
+
+const latestUpdate = (pages) => pages.reduce(
+  (latest, page) => (!latest || page.updatedAt > latest ? page.updatedAt : latest),
+  null
+);
+
+const buildUrlset = (pages) => {
+  const urls = pages.map(page => element('url', {}, [
+    element('loc', {}, pageUrl(page)),
+    element('lastmod', {}, new Date(page.updatedAt).toISOString())
+  ]));
+
+  return xmlDeclaration + element('urlset', { xmlns: 'http://www.sitemaps.org/schemas/sitemap/0.9' }, urls);
+};
+
+// GET /sitemap.xml - Sitemap of published pages, or a sitemap index when there are too many for one file
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    // Ordered by creation so a page stays in the same sitemap file as others change
+    const pages = await Page.find(Page.publishedFilter())
+      .select('slug updatedAt')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+
+    if (isFresh(req, res, listingEtag(pages))) {
+      return res.status(304).end();
+    }
+
+    let xml;
+    if (pages.length <= sitemapUrlLimit()) {
+      xml = buildUrlset(pages);
+    } else {
+      const origin = `${req.protocol}://${req.get('host')}`;
+      const sitemaps = Array.from({ length: Math.ceil(pages.length / sitemapUrlLimit()) }, (_, i) => {
+        const chunk = pages.slice(i * sitemapUrlLimit(), (i + 1) * sitemapUrlLimit());
+        return element('sitemap', {}, [
+          element('loc', {}, `${origin}/sitemap-${i + 1}.xml`),
+          element('lastmod', {}, new Date(latestUpdate(chunk)).toISOString())
+        ]);
+      });
+      xml = xmlDeclaration + element('sitemapindex', { xmlns: 'http://www.sitemaps.org/schemas/sitemap/0.9' }, sitemaps);
+    }
+
+    res.type('application/xml').send(xml);
+  } catch (error) {
+    console.error('Error generating sitemap:', error);
+    res.status(500).type('text/plain').send('Error generating sitemap');
+  }
+});
+
+// GET /sitemap-:index.xml - One chunk of a sitemap index
+router.get('/sitemap-:index(\\d+).xml', async (req, res) => {
+  try {
+    const index = parseInt(req.params.index);
+    const filter = Page.publishedFilter();
+
+    // Chunks are ordered by creation so a page stays in the same file as others change
+    const pages = await Page.find(filter)
+      .select('slug updatedAt')
+      .sort({ createdAt: 1, _id: 1 })
+      .skip((index - 1) * sitemapUrlLimit())
+      .limit(sitemapUrlLimit())
+      .lean();
+
+    if (index < 1 || pages.length === 0) {
+      return res.status(404).type('text/plain').send('Sitemap not found');
+    }
+
+    if (isFresh(req, res, listingEtag(pages))) {
+      return res.status(304).end();
+    }
+
+    res.type('application/xml').send(buildUrlset(pages));
+  } catch (error) {
+    console.error('Error generating sitemap:', error);
+    res.status(500).type('text/plain').send('Error generating sitemap');
+  }
+});
+
+const buildRss = ({ title, description, link, self, pages }) => {
+  const items = pages.map(page => element('item', {}, [
+    element('title', {}, page.title),
+    element('link', {}, pageUrl(page)),
+    element('guid', { isPermaLink: 'false' }, page._id.toString()),
+    element('pubDate', {}, new Date(page.publishAt || page.createdAt).toUTCString()),
+    element('description', {}, cdata(page.description), { raw: true }),
+    ...(page.tags || []).map(tag => element('category', {}, tag)),
+    page.imageUrl && element('media:content', { url: page.imageUrl, medium: 'image', type: mimeTypeFromUrl(page.imageUrl, 'image/jpeg') }),
+    page.thumbnailUrl && element('media:thumbnail', { url: page.thumbnailUrl })
+  ]));
+
+  const channel = element('channel', {}, [
+    element('title', {}, title),
+    element('link', {}, link),
+    element('description', {}, description),
+    element('language', {}, 'en'),
+    element('atom:link', { href: self, rel: 'self', type: 'application/rss+xml' }),
+    pages[0] && element('lastBuildDate', {}, new Date(latestUpdate(pages)).toUTCString()),
+    ...items
+  ]);
+
+  return xmlDeclaration + element('rss', {
+    version: '2.0',
+    'xmlns:atom': 'http://www.w3.org/2005/Atom',
+    'xmlns:media': 'http://search.yahoo.com/mrss/'
+  }, [channel]);
+};
+
+const buildAtom = ({ title, description, link, self, pages }) => {
+  const updated = pages[0] ? new Date(latestUpdate(pages)) : new Date();
+
+  const entries = pages.map(page => element('entry', {}, [
+    element('id', {}, `urn:funneleffect:page:${page._id}`),
+    element('title', {}, page.title),
+    element('link', { rel: 'alternate', type: 'text/html', href: pageUrl(page) }),
+    element('published', {}, new Date(page.publishAt || page.createdAt).toISOString()),
+    element('updated', {}, new Date(page.updatedAt).toISOString()),
+    element('summary', {}, page.description),
+    ...(page.tags || []).map(tag => element('category', { term: tag })),
+    page.imageUrl && element('link', { rel: 'enclosure', type: mimeTypeFromUrl(page.imageUrl, 'image/jpeg'), href: page.imageUrl }),
+    page.thumbnailUrl && element('media:thumbnail', { url: page.thumbnailUrl })
+  ]));
+
+  return xmlDeclaration + element('feed', {
+    xmlns: 'http://www.w3.org/2005/Atom',
+    'xmlns:media': 'http://search.yahoo.com/mrss/'
+  }, [
+    element('id', {}, self),
+    element('title', {}, title),
+    element('subtitle', {}, description),
+    element('link', { rel: 'self', type: 'application/atom+xml', href: self }),
+    element('link', { rel: 'alternate', type: 'text/html', href: link }),
+    element('updated', {}, updated.toISOString()),
+    element('author', {}, [element('name', {}, siteName())]),
+    ...entries
+  ]);
+};
+
+const FEED_FORMATS = {
+  rss: { build: buildRss, contentType: 'application/rss+xml' },
+  atom: { build: buildAtom, contentType: 'application/atom+xml' }
+};
+
+// Shared handler for every feed: optional group scoping, caching and rendering
+const sendFeed = (format) => async (req, res) => {
+  try {
+    const { group: groupSlug } = req.params;
+    const filter = Page.publishedFilter();
+    let title = siteName();
+    let description = `Latest content from ${siteName()}`;
+    let link = siteUrl();
+
+    if (groupSlug) {
+      const group = await Group.findOne({ slug: groupSlug }).lean();
+      if (!group) {
+        return res.status(404).type('text/plain').send('Feed not found');
+      }
+      filter.groups = group.slug;
+      title = `${group.name} | ${siteName()}`;
+      description = group.description || `Latest ${group.name} from ${siteName()}`;
+      link = `${siteUrl()}/${group.slug}`;
+    }
+
+    const pages = await Page.find(filter)
+      .select('title slug description imageUrl thumbnailUrl tags publishAt createdAt updatedAt')
+      .sort({ publishAt: -1, createdAt: -1 })
+      .limit(FEED_ITEM_LIMIT)
+      .lean();
+
+    if (isFresh(req, res, listingEtag(pages, format, title, description, link))) {
+      return res.status(304).end();
+    }
+
+    const { build, contentType } = FEED_FORMATS[format];
+    res.type(contentType).send(build({ title, description, link, self: selfUrl(req), pages }));
+  } catch (error) {
+    console.error('Error generating feed:', error);
+    res.status(500).type('text/plain').send('Error generating feed');
+  }
+};
+
+// GET /feeds/rss.xml and /feeds/atom.xml - Feeds of all published pages
+router.get('/feeds/rss.xml', sendFeed('rss'));
+router.get('/feeds/atom.xml', sendFeed('atom'));
+
+// GET /feeds/:group/rss.xml and /feeds/:group/atom.xml - Feeds for a single group
+router.get('/feeds/:group/rss.xml', sendFeed('rss'));
+router.get('/feeds/:group/atom.xml', sendFeed('atom'));
+
+export default router;
@@ -0,0 +1,400 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { authenticate, requireAdmin } from '../middleware/index.js';
+import Group from '../models/Group.js';
+import Page from '../models/Page.js';
+import { runInTransaction } from '../services/membership.js';
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Validation rules for creating/updating groups
+const groupValidationRules = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot be more than 100 characters'),
+
+  body('slug')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Slug cannot be more than 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+
+  body('order')
+    .optional()
+    .isInt()
+    .withMessage('Order must be an integer'),
+
+  body('parent')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid parent group ID'),
+
+  body('metaTitle')
+    .optional()
+    .trim()
+    .isLength({ max: 60 })
+    .withMessage('Meta title cannot be more than 60 characters'),
+
+  body('metaDescription')
+    .optional()
+    .trim()
+    .isLength({ max: 160 })
+    .withMessage('Meta description cannot be more than 160 characters'),
+
+  body('metaKeywords')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Meta keywords cannot be more than 255 characters')
+];
+
+// Nest a flat, ordered list of groups under their parents
+const buildTree = (groups) => {
+  const nodes = new Map(groups.map(group => [group._id.toString(), { ...group, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
+
+// A group cannot be nested under itself or one of its own descendants
+const checkParent = async (groupId, parentId) => {
+  if (!parentId) {
+    return null;
+  }
+
+  const parent = await Group.exists({ _id: parentId });
+  if (!parent) {
+    return 'Parent group not found';
+  }
+
+  if (groupId) {
+    const descendants = await Group.descendantIds(groupId);
+    if (parentId === groupId.toString() || descendants.some(id => id.toString() === parentId)) {
+      return 'A group cannot be nested under itself or its descendants';
+    }
+  }
+
+  return null;
+};
+
+// GET /api/groups - Get all groups (pass tree=true for a nested structure)
+router.get('/', async (req, res) => {
+  try {
+    const { tree } = req.query;
+
+    const groups = await Group.find()
+      .sort({ order: 1, name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: tree === 'true' ? buildTree(groups) : groups
+    });
+  } catch (error) {
+    console.error('Error fetching groups:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching groups',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/groups/:slug - Get a single group by slug
+router.get('/:slug',
+  param('slug').trim().notEmpty().withMessage('Slug is required'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { slug } = req.params;
+
+      const group = await Group.findOne({ slug }).populate('parent', 'name slug');
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found'
+        });
+      }
+
+      const children = await Group.find({ parent: group._id })
+        .select('name slug order')
+        .sort({ order: 1, name: 1 });
+
+      res.json({
+        success: true,
+        data: { ...group.toObject(), children }
+      });
+    } catch (error) {
+      console.error('Error fetching group:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching group',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/groups - Create a new group
+router.post('/',
+  authenticate,
+  requireAdmin,
+  body('name').exists().withMessage('Name is required'),
+  groupValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const parentError = await checkParent(null, req.body.parent);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+
+      const group = new Group(req.body);
+      await group.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Group created successfully',
+        data: group
+      });
+    } catch (error) {
+      console.error('Error creating group:', error);
+
+      if (error.code === 11000 && error.keyPattern?.slug) {
+        return res.status(400).json({
+          success: false,
+          message: 'A group with this slug already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error creating group',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// PUT /api/groups/:id - Update a group; a slug change is carried over to every page in the group
+router.put('/:id',
+  authenticate,
+  requireAdmin,
+  param('id').isMongoId().withMessage('Invalid group ID'),
+  groupValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const group = await Group.findById(id);
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found'
+        });
+      }
+
+      const parentError = await checkParent(group._id, req.body.parent);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+
+      const previousSlug = group.slug;
+      group.set(req.body);
+
+      // The group and its pages change together, so no page is left on a slug that is gone
+      const pagesUpdated = await runInTransaction(async (session) => {
+        await group.save({ session });
+        if (group.slug === previousSlug) {
+          return 0;
+        }
+
+        const result = await Page.updateMany(
+          { groups: previousSlug },
+          { $set: { 'groups.$': group.slug } },
+          { session }
+        );
+        return result.modifiedCount;
+      });
+
+      res.json({
+        success: true,
+        message: 'Group updated successfully',
+        data: { group, pagesUpdated }
+      });
+    } catch (error) {
+      console.error('Error updating group:', error);
+
+      if (error.code === 11000 && error.keyPattern?.slug) {
+        return res.status(400).json({
+          success: false,
+          message: 'A group with this slug already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error updating group',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/groups/:id/merge - Merge a group into another, moving its pages and subgroups
+router.post('/:id/merge',
+  authenticate,
+  requireAdmin,
+  param('id').isMongoId().withMessage('Invalid group ID'),
+  body('into').isMongoId().withMessage('Invalid target group ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { into } = req.body;
+
+      if (id === into) {
+        return res.status(400).json({
+          success: false,
+          message: 'A group cannot be merged into itself'
+        });
+      }
+
+      const [source, target] = await Promise.all([
+        Group.findById(id),
+        Group.findById(into)
+      ]);
+
+      if (!source || !target) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found'
+        });
+      }
+
+      const descendants = await Group.descendantIds(source._id);
+      if (descendants.some(descendantId => descendantId.equals(target._id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'A group cannot be merged into one of its own subgroups'
+        });
+      }
+
+      // Pages, subgroups and the source group change together or not at all
+      const pagesUpdated = await runInTransaction(async (session) => {
+        // Add the target before pulling the source so no page is left without the section
+        await Page.updateMany({ groups: source.slug }, { $addToSet: { groups: target.slug } }, { session });
+        const result = await Page.updateMany({ groups: source.slug }, { $pull: { groups: source.slug } }, { session });
+        await Group.updateMany({ parent: source._id }, { $set: { parent: target._id } }, { session });
+        await source.deleteOne({ session });
+        return result.modifiedCount;
+      });
+
+      res.json({
+        success: true,
+        message: `Group ${source.name} merged into ${target.name}`,
+        data: { group: target, pagesUpdated }
+      });
+    } catch (error) {
+      console.error('Error merging groups:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error merging groups',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/groups/:id - Delete a group that has no pages or subgroups
+router.delete('/:id',
+  authenticate,
+  requireAdmin,
+  param('id').isMongoId().withMessage('Invalid group ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const group = await Group.findById(id);
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found'
+        });
+      }
+
+      const [pageCount, childCount] = await Promise.all([
+        Page.countDocuments({ groups: group.slug }),
+        Group.countDocuments({ parent: group._id })
+      ]);
+
+      if (pageCount > 0 || childCount > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Group is still in use; merge it into another group instead',
+          data: { pageCount, childCount }
+        });
+      }
+
+      await group.deleteOne();
+
+      res.json({
+        success: true,
+        message: 'Group deleted successfully',
+        data: { id: group._id, name: group.name }
+      });
+    } catch (error) {
+      console.error('Error deleting group:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting group',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,177 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticate, requirePermission } from '../middleware/index.js';
+import { ROLES } from '../config/permissions.js';
+import Invite, { INVITE_STATUSES } from '../models/Invite.js';
+import { createInvite, resendInvite, revokeInvite, InviteError } from '../services/invites.js';
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const inviteIdValidation = param('id').isMongoId().withMessage('Invalid invite ID');
+
+// Reply with an InviteError's status, or 500
+const sendInviteError = (res, error, action) => {
+  if (error instanceof InviteError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`Error ${action} invite:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Error ${action} invite`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Inviting people is part of managing users, which only admins may do
+router.use(authenticate);
+
+// GET /api/invites - List invites, pending ones by default
+router.get('/',
+  requirePermission('users', 'read'),
+  query('status').optional().isIn([...INVITE_STATUSES, 'all']).withMessage(`Status must be one of: ${INVITE_STATUSES.join(', ')}, all`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { status = 'pending', page = 1, limit = 20 } = req.query;
+      const skip = (page - 1) * limit;
+
+      const filter = Invite.statusFilter(status);
+
+      const invites = await Invite.find(filter)
+        .populate('invitedBy', 'username email')
+        .populate('acceptedBy', 'username email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await Invite.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: {
+          invites,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching invites:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching invites',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/invites - Invite an email address with a role; the invitee chooses their own credentials
+router.post('/',
+  requirePermission('users', 'create'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const invite = await createInvite({
+        email: req.body.email,
+        role: req.body.role,
+        invitedBy: req.user
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Invite sent to ${invite.email}`,
+        data: invite
+      });
+    } catch (error) {
+      sendInviteError(res, error, 'creating');
+    }
+  }
+);
+
+// POST /api/invites/:id/resend - Email a pending or expired invite again with a new link and expiry
+router.post('/:id/resend',
+  requirePermission('users', 'create'),
+  inviteIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const invite = await Invite.findById(req.params.id);
+
+      if (!invite) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invite not found'
+        });
+      }
+
+      await resendInvite(invite, req.user);
+
+      res.json({
+        success: true,
+        message: `Invite resent to ${invite.email}`,
+        data: invite
+      });
+    } catch (error) {
+      sendInviteError(res, error, 'resending');
+    }
+  }
+);
+
+// DELETE /api/invites/:id - Revoke an invite that has not been accepted
+router.delete('/:id',
+  requirePermission('users', 'create'),
+  inviteIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const invite = await revokeInvite(req.params.id, req.user);
+
+      if (!invite) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invite not found, or already accepted or revoked'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Invite revoked successfully',
+        data: invite
+      });
+    } catch (error) {
+      sendInviteError(res, error, 'revoking');
+    }
+  }
+);
+
+export default router;
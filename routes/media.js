@@ -0,0 +1,432 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticate, requireAdmin, requirePermission } from '../middleware/index.js';
+import Media, { MEDIA_KINDS } from '../models/Media.js';
+import { getStorage, StorageError } from '../storage/index.js';
+import { findMediaUsage, removeMedia } from '../services/mediaCatalog.js';
+import { ensureMediaCatalog, reconcileMediaCatalog } from '../jobs/mediaCatalog.js';
+import { escapeRegExp } from '../utils/search.js';
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const MEDIA_SORTS = {
+  newest: { uploadedAt: -1, _id: -1 },
+  oldest: { uploadedAt: 1, _id: 1 },
+  name: { name: 1, _id: 1 },
+  largest: { bytes: -1, _id: -1 }
+};
+
+// Only the editorial fields can be edited; everything else mirrors storage
+const EDITABLE_FIELDS = ['title', 'altText', 'caption', 'credits', 'tags'];
+
+const mediaValidationRules = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot be more than 200 characters'),
+
+  body('altText')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Alt text cannot be more than 300 characters'),
+
+  body('caption')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Caption cannot be more than 500 characters'),
+
+  body('credits')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Credits cannot be more than 200 characters'),
+
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 entries'),
+
+  body('tags.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Tags cannot be empty')
+    .isLength({ max: 50 })
+    .withMessage('Tags cannot be more than 50 characters')
+    .toLowerCase()
+];
+
+// Every catalog route requires an authenticated user with the matching media permission
+router.use(authenticate);
+
+// GET /api/media - Browse the media catalog with filters, search and pagination
+router.get('/',
+  requirePermission('media', 'read'),
+  query('kind').optional().isIn(MEDIA_KINDS).withMessage(`Kind must be one of: ${MEDIA_KINDS.join(', ')}`),
+  query('sort').optional().isIn(Object.keys(MEDIA_SORTS)).withMessage(`Sort must be one of: ${Object.keys(MEDIA_SORTS).join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query(['folder', 'tag', 'search']).optional().isString().withMessage('Filters must be single values'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { kind, folder, recursive, tag, search, missing, sort = 'newest', page = 1, limit = 20 } = req.query;
+      const skip = (page - 1) * limit;
+      await ensureMediaCatalog();
+
+      const filter = { driver: getStorage().name };
+
+      if (kind) {
+        filter.kind = kind;
+      }
+
+      if (folder !== undefined) {
+        filter.folder = recursive === 'true'
+          ? { $regex: `^${escapeRegExp(folder)}(/|$)` }
+          : folder;
+      }
+
+      if (tag) {
+        filter.tags = { $all: String(tag).split(',').map(value => value.trim().toLowerCase()).filter(Boolean) };
+      }
+
+      // Assets gone from storage are hidden unless asked for
+      filter.missingSince = missing === 'true' ? { $ne: null } : null;
+
+      if (search) {
+        filter.$text = { $search: search };
+      }
+
+      const media = await Media.find(filter)
+        .populate('uploadedBy', 'username email')
+        .sort(MEDIA_SORTS[sort])
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await Media.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: {
+          media,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching media:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching media',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/media/folders - Folders in the catalog with their asset counts
+router.get('/folders',
+  requirePermission('media', 'read'),
+  query('kind').optional().isIn(MEDIA_KINDS).withMessage(`Kind must be one of: ${MEDIA_KINDS.join(', ')}`),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await ensureMediaCatalog();
+      const match = { driver: getStorage().name, missingSince: null };
+      if (req.query.kind) {
+        match.kind = req.query.kind;
+      }
+
+      const folders = await Media.aggregate([
+        { $match: match },
+        { $group: { _id: { folder: '$folder', kind: '$kind' }, count: { $sum: 1 }, bytes: { $sum: '$bytes' } } },
+        { $sort: { '_id.folder': 1, '_id.kind': 1 } },
+        { $project: { _id: 0, folder: '$_id.folder', kind: '$_id.kind', count: 1, bytes: 1 } }
+      ]);
+
+      res.json({
+        success: true,
+        data: folders
+      });
+    } catch (error) {
+      console.error('Error fetching media folders:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching media folders',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/media/orphans - Assets no page or track references, as of the usage index, for cleanup
+router.get('/orphans',
+  requirePermission('media', 'delete'),
+  query('kind').optional().isIn(MEDIA_KINDS).withMessage(`Kind must be one of: ${MEDIA_KINDS.join(', ')}`),
+  query('olderThanDays').optional().isInt({ min: 0 }).withMessage('olderThanDays must be a non-negative integer'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { kind, olderThanDays = 7, page = 1, limit = 20 } = req.query;
+      const skip = (page - 1) * limit;
+
+      // Recent uploads are left out: they are often referenced only once the page is saved
+      const filter = {
+        driver: getStorage().name,
+        missingSince: null,
+        'usage.0': { $exists: false },
+        uploadedAt: { $lt: new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000) }
+      };
+      if (kind) {
+        filter.kind = kind;
+      }
+
+      const [media, [totals]] = await Promise.all([
+        Media.find(filter).sort({ bytes: -1, _id: 1 }).skip(skip).limit(parseInt(limit)),
+        Media.aggregate([
+          { $match: filter },
+          { $group: { _id: null, count: { $sum: 1 }, bytes: { $sum: '$bytes' } } }
+        ])
+      ]);
+      const total = totals?.count || 0;
+
+      res.json({
+        success: true,
+        data: {
+          media,
+          totalBytes: totals?.bytes || 0,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching orphaned media:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching orphaned media',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/media/sync - Reconcile the catalog with storage now instead of waiting for the schedule
+router.post('/sync',
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const report = await reconcileMediaCatalog();
+
+      res.json({
+        success: true,
+        message: 'Media catalog synchronised with storage',
+        data: report
+      });
+    } catch (error) {
+      console.error('Error synchronising media catalog:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Error synchronising media catalog',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/media/:id - Get a single catalog entry
+router.get('/:id',
+  requirePermission('media', 'read'),
+  param('id').isMongoId().withMessage('Invalid media ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const media = await Media.findById(req.params.id).populate('uploadedBy', 'username email');
+
+      if (!media) {
+        return res.status(404).json({
+          success: false,
+          message: 'Media not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: media
+      });
+    } catch (error) {
+      console.error('Error fetching media entry:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching media entry',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/media/:id/usage - Pages and tracks that reference the asset
+router.get('/:id/usage',
+  requirePermission('media', 'read'),
+  param('id').isMongoId().withMessage('Invalid media ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const media = await Media.findById(req.params.id).select('url storageId');
+
+      if (!media) {
+        return res.status(404).json({
+          success: false,
+          message: 'Media not found'
+        });
+      }
+
+      const usage = await findMediaUsage(media.storageId);
+
+      res.json({
+        success: true,
+        data: {
+          url: media.url,
+          inUse: usage.length > 0,
+          usage
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching media usage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching media usage',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// PUT /api/media/:id - Update the editorial fields of a catalog entry
+router.put('/:id',
+  requirePermission('media', 'update'),
+  param('id').isMongoId().withMessage('Invalid media ID'),
+  mediaValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const updates = {};
+      for (const field of EDITABLE_FIELDS) {
+        if (req.body[field] !== undefined) {
+          updates[field] = req.body[field];
+        }
+      }
+
+      const media = await Media.findById(req.params.id);
+
+      if (!media) {
+        return res.status(404).json({
+          success: false,
+          message: 'Media not found'
+        });
+      }
+
+      if (!media.isManageableBy(req.user, 'update')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only change media you uploaded'
+        });
+      }
+
+      media.set(updates);
+      await media.save();
+      await media.populate('uploadedBy', 'username email');
+
+      res.json({
+        success: true,
+        message: 'Media updated successfully',
+        data: media
+      });
+    } catch (error) {
+      console.error('Error updating media entry:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating media entry',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/media/:id - Delete the asset from storage and the catalog (refused with 409 while in use, unless force=true)
+router.delete('/:id',
+  requirePermission('media', 'delete'),
+  param('id').isMongoId().withMessage('Invalid media ID'),
+  query('force').optional().isBoolean().withMessage('force must be true or false'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const media = await Media.findById(req.params.id);
+
+      if (!media) {
+        return res.status(404).json({
+          success: false,
+          message: 'Media not found'
+        });
+      }
+
+      if (!media.isManageableBy(req.user, 'delete')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only delete media you uploaded'
+        });
+      }
+
+      await removeMedia(media.storageId, { kind: media.kind, force: req.query.force === 'true' });
+      // Storage may already have lost the asset; the entry goes either way
+      await Media.deleteOne({ _id: media._id });
+
+      res.json({
+        success: true,
+        message: 'Media deleted successfully',
+        data: { id: media._id, storageId: media.storageId }
+      });
+    } catch (error) {
+      if (error instanceof StorageError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          usage: error.usage
+        });
+      }
+      console.error('Error deleting media:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting media',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
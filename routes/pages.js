@@ -1,7 +1,13 @@
 import express from 'express';
-import { body, param, validationResult } from 'express-validator';
-import { authenticate } from '../middleware/index.js';
-import Page from '../models/Page.js';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticate, optionalAuthenticate, requirePermission } from '../middleware/index.js';
+import { can } from '../config/permissions.js';
+import Page, { PAGE_STATUSES, PUBLISHING_STATUSES } from '../models/Page.js';
+import PageRevision from '../models/PageRevision.js';
+import Redirect, { normalizeRedirectPath } from '../models/Redirect.js';
+import Group from '../models/Group.js';
+import { diffObjects } from '../utils/diff.js';
+import { runInTransaction } from '../services/membership.js';
 
 const router = express.Router();
 
@@ -18,6 +24,72 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Validation rules for the publishing workflow fields
+const statusValidationRules = [
+  body('status')
+    .optional()
+    .isIn(PAGE_STATUSES)
+    .withMessage(`Status must be one of: ${PAGE_STATUSES.join(', ')}`),
+
+  body('publishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('publishAt must be a valid ISO 8601 date'),
+
+  body('unpublishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('unpublishAt must be a valid ISO 8601 date')
+    .custom((value, { req }) => {
+      if (value && req.body.publishAt && new Date(value) <= new Date(req.body.publishAt)) {
+        throw new Error('unpublishAt must be later than publishAt');
+      }
+      return true;
+    }),
+
+  body().custom((value) => {
+    if (value.status === 'scheduled' && !value.publishAt) {
+      throw new Error('publishAt is required when status is scheduled');
+    }
+    return true;
+  })
+];
+
+// Anonymous callers only ever see live pages; roles that may read pages see every status
+const visibilityFilter = (req) => {
+  if (can(req.user, 'pages', 'read')) {
+    return {};
+  }
+  return Page.publishedFilter();
+};
+
+// Ownership is set by the server, never by the request body
+const withoutOwner = ({ owner, ...data }) => data;
+
+// Reply 403 when the user may not make this change to the page: the action must be allowed
+// on the page (own pages only, for authors and contributors), and moving a page into or out
+// of a publishing status also needs the publish permission. Returns true when it replied.
+const rejectPageChange = (req, res, page, { action = 'update', nextStatus = page.status } = {}) => {
+  if (!page.isManageableBy(req.user, action)) {
+    res.status(403).json({
+      success: false,
+      message: `Your role does not allow you to ${action} this page`
+    });
+    return true;
+  }
+
+  const publishing = PUBLISHING_STATUSES.includes(page.status) || PUBLISHING_STATUSES.includes(nextStatus);
+  if (publishing && !page.isManageableBy(req.user, 'publish')) {
+    res.status(403).json({
+      success: false,
+      message: 'Your role does not allow you to publish or unpublish this page'
+    });
+    return true;
+  }
+
+  return false;
+};
+
 // Validation rules for creating/updating pages
 const pageValidationRules = [
   body('title')
@@ -60,9 +132,11 @@ const pageValidationRules = [
       if (value && value.length > 10) {
         throw new Error('Cannot have more than 10 groups');
       }
-      const allowedGroups = ['blogs', 'cardiology', 'case-studies'];
-      if (value && value.some(group => !allowedGroups.includes(group))) {
-        throw new Error('Groups must be from allowed options: blogs, cardiology, case-studies');
+      return true;
+    })
+    .custom(async (value) => {
+      if (value && !(await Group.allExist(value))) {
+        throw new Error('Groups must reference existing groups');
       }
       return true;
     }),
@@ -124,17 +198,25 @@ const pageValidationRules = [
   body('readTime')
     .optional()
     .isInt({ min: 1, max: 999 })
-    .withMessage('Read time must be an integer between 1 and 999 minutes')
+    .withMessage('Read time must be an integer between 1 and 999 minutes'),
+
+  ...statusValidationRules
 ];
 
-// GET /api/pages - Get all pages
-router.get('/', async (req, res) => {
+// GET /api/pages - Get all pages (published only unless authenticated)
+router.get('/', optionalAuthenticate, async (req, res) => {
   try {
-    const { page = 1, limit = 10, groups, search } = req.query;
+    const { page = 1, limit = 10, groups, search, status } = req.query;
     const skip = (page - 1) * limit;
 
     // Build query
-    let query = {};
+    let query = visibilityFilter(req);
+
+    if (can(req.user, 'pages', 'read') && status) {
+      // Editors can narrow the list to one or more workflow states
+      const statusArray = Array.isArray(status) ? status : [status];
+      query.status = { $in: statusArray };
+    }
     
     if (groups) {
       // Handle both single group string and array of groups
@@ -187,17 +269,37 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/pages/:slug - Get a single page by slug
+// GET /api/pages/:slug - Get a single page by slug (drafts require authentication)
 router.get('/:slug', 
+  optionalAuthenticate,
   param('slug').trim().notEmpty().withMessage('Slug is required'),
   handleValidationErrors,
   async (req, res) => {
     try {
       const { slug } = req.params;
       
-      const page = await Page.findOne({ slug });
+      const page = await Page.findOne({ ...visibilityFilter(req), slug });
       
       if (!page) {
+        // A retired slug or legacy path answers with the page's canonical slug
+        const redirect = await Redirect.findOne({ from: normalizeRedirectPath(slug), page: { $ne: null } });
+        const target = redirect && await Page.findOne({ ...visibilityFilter(req), _id: redirect.page }).select('slug');
+
+        if (target) {
+          redirect.trackHit();
+          return res
+            .status(redirect.statusCode)
+            .location(`${req.baseUrl}/${target.slug}`)
+            .json({
+              success: false,
+              message: 'Page has moved',
+              data: {
+                slug: target.slug,
+                statusCode: redirect.statusCode
+              }
+            });
+        }
+
         return res.status(404).json({
           success: false,
           message: 'Page not found'
@@ -222,11 +324,12 @@ router.get('/:slug',
 // POST /api/pages - Create a new page
 router.post('/', 
   authenticate,
+  requirePermission('pages', 'create'),
   pageValidationRules,
   handleValidationErrors,
   async (req, res) => {
     try {
-      const pageData = req.body;
+      const pageData = { ...withoutOwner(req.body), owner: req.user._id };
       
       // Check if slug already exists
       if (pageData.slug) {
@@ -240,7 +343,15 @@ router.post('/',
       }
 
       const page = new Page(pageData);
-      await page.save();
+      if (rejectPageChange(req, res, page, { action: 'create' })) {
+        return;
+      }
+
+      // The page and its first revision are written together or not at all
+      await runInTransaction(async (session) => {
+        await page.save({ session });
+        await PageRevision.record({ page, user: req.user, action: 'create', session });
+      });
 
       res.status(201).json({
         success: true,
@@ -258,6 +369,15 @@ router.post('/',
         });
       }
 
+      // Schema checks the route cannot make alone, e.g. unpublishAt against a stored publishAt
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Error creating page',
@@ -270,13 +390,14 @@ router.post('/',
 // PUT /api/pages/:id - Update a page
 router.put('/:id',
   authenticate,
+  requirePermission('pages', 'update'),
   param('id').isMongoId().withMessage('Invalid page ID'),
   pageValidationRules,
   handleValidationErrors,
   async (req, res) => {
     try {
       const { id } = req.params;
-      const updateData = req.body;
+      const updateData = withoutOwner(req.body);
 
       // Check if slug already exists (if updating slug)
       if (updateData.slug) {
@@ -292,11 +413,7 @@ router.put('/:id',
         }
       }
 
-      const page = await Page.findByIdAndUpdate(
-        id,
-        updateData,
-        { new: true, runValidators: true }
-      );
+      const page = await Page.findById(id);
 
       if (!page) {
         return res.status(404).json({
@@ -305,6 +422,18 @@ router.put('/:id',
         });
       }
 
+      if (rejectPageChange(req, res, page, { nextStatus: updateData.status ?? page.status })) {
+        return;
+      }
+
+      // Save through the document so the slug and publishing hooks run
+      const previous = PageRevision.snapshot(page);
+      page.set(updateData);
+      await runInTransaction(async (session) => {
+        await page.save({ session });
+        await PageRevision.record({ page, previous, user: req.user, session });
+      });
+
       res.json({
         success: true,
         message: 'Page updated successfully',
@@ -321,6 +450,15 @@ router.put('/:id',
         });
       }
 
+      // Schema checks the route cannot make alone, e.g. unpublishAt against a stored publishAt
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Error updating page',
@@ -333,14 +471,29 @@ router.put('/:id',
 // DELETE /api/pages/:id - Delete a page
 router.delete('/:id',
   authenticate,
+  requirePermission('pages', 'delete'),
   param('id').isMongoId().withMessage('Invalid page ID'),
   handleValidationErrors,
   async (req, res) => {
     try {
       const { id } = req.params;
       
-      const page = await Page.findByIdAndDelete(id);
+      const existing = await Page.findById(id).select('owner status');
       
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Page not found'
+        });
+      }
+
+      // Deleting a live page takes it offline, so it also needs the publish permission
+      if (rejectPageChange(req, res, existing, { action: 'delete' })) {
+        return;
+      }
+
+      const page = await Page.findByIdAndDelete(id);
+
       if (!page) {
         return res.status(404).json({
           success: false,
@@ -348,6 +501,8 @@ router.delete('/:id',
         });
       }
 
+      await Redirect.deleteMany({ page: page._id });
+
       res.json({
         success: true,
         message: 'Page deleted successfully',
@@ -366,13 +521,14 @@ router.delete('/:id',
 
 // GET /api/pages/by-id/:id - Get a single page by ID (for admin editing)
 router.get('/by-id/:id',
+  optionalAuthenticate,
   param('id').isMongoId().withMessage('Invalid page ID'),
   handleValidationErrors,
   async (req, res) => {
     try {
       const { id } = req.params;
       
-      const page = await Page.findById(id);
+      const page = await Page.findOne({ ...visibilityFilter(req), _id: id });
       
       if (!page) {
         return res.status(404).json({
@@ -396,4 +552,318 @@ router.get('/by-id/:id',
   }
 );
 
+// PATCH /api/pages/:id/status - Move a page through the publishing workflow
+router.patch('/:id/status',
+  authenticate,
+  requirePermission('pages', 'update'),
+  param('id').isMongoId().withMessage('Invalid page ID'),
+  body('status')
+    .notEmpty()
+    .withMessage('Status is required'),
+  statusValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { status, publishAt, unpublishAt } = req.body;
+
+      const page = await Page.findById(id);
+
+      if (!page) {
+        return res.status(404).json({
+          success: false,
+          message: 'Page not found'
+        });
+      }
+
+      if (rejectPageChange(req, res, page, { nextStatus: status })) {
+        return;
+      }
+
+      const previous = PageRevision.snapshot(page);
+      page.status = status;
+      if (publishAt !== undefined) {
+        page.publishAt = publishAt;
+      }
+      if (unpublishAt !== undefined) {
+        page.unpublishAt = unpublishAt;
+      }
+
+      await runInTransaction(async (session) => {
+        await page.save({ session });
+        await PageRevision.record({ page, previous, user: req.user, action: 'status', session });
+      });
+
+      res.json({
+        success: true,
+        message: `Page status changed to ${page.status}`,
+        data: page
+      });
+    } catch (error) {
+      console.error('Error changing page status:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error changing page status',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/pages/:id/slug-history - Previous slugs that now redirect to this page
+router.get('/:id/slug-history',
+  authenticate,
+  requirePermission('pages', 'read'),
+  param('id').isMongoId().withMessage('Invalid page ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const redirects = await Redirect.find({ page: id, source: 'slug-change' })
+        .sort({ updatedAt: -1 });
+
+      res.json({
+        success: true,
+        data: redirects
+      });
+    } catch (error) {
+      console.error('Error fetching slug history:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching slug history',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Fields a restore never rolls back: the publishing state belongs to the live page, not the revision
+const NON_RESTORABLE_FIELDS = ['status', 'publishAt', 'unpublishAt'];
+
+// GET /api/pages/:id/revisions - List revisions of a page, newest first
+router.get('/:id/revisions',
+  authenticate,
+  requirePermission('pages', 'read'),
+  param('id').isMongoId().withMessage('Invalid page ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 20 } = req.query;
+      const skip = (page - 1) * limit;
+
+      const revisions = await PageRevision.find({ page: id })
+        .select('-snapshot')
+        .populate('changedBy', 'username email')
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await PageRevision.countDocuments({ page: id });
+
+      res.json({
+        success: true,
+        data: {
+          revisions,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching page revisions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching page revisions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/pages/:id/revisions/diff?from=&to= - Diff two revisions of a page
+router.get('/:id/revisions/diff',
+  authenticate,
+  requirePermission('pages', 'read'),
+  param('id').isMongoId().withMessage('Invalid page ID'),
+  query('from').isInt({ min: 1 }).withMessage('from must be a revision version number'),
+  query('to').isInt({ min: 1 }).withMessage('to must be a revision version number'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const from = parseInt(req.query.from);
+      const to = parseInt(req.query.to);
+
+      const revisions = await PageRevision.find({ page: id, version: { $in: [from, to] } });
+      const fromRevision = revisions.find(revision => revision.version === from);
+      const toRevision = revisions.find(revision => revision.version === to);
+
+      if (!fromRevision || !toRevision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          from,
+          to,
+          changes: diffObjects(fromRevision.snapshot, toRevision.snapshot)
+        }
+      });
+    } catch (error) {
+      console.error('Error diffing page revisions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error diffing page revisions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/pages/:id/revisions/:version - Get a single revision with its full snapshot
+router.get('/:id/revisions/:version',
+  authenticate,
+  requirePermission('pages', 'read'),
+  param('id').isMongoId().withMessage('Invalid page ID'),
+  param('version').isInt({ min: 1 }).withMessage('Invalid revision version'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id, version } = req.params;
+
+      const revision = await PageRevision.findOne({ page: id, version: parseInt(version) })
+        .populate('changedBy', 'username email');
+
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: revision
+      });
+    } catch (error) {
+      console.error('Error fetching page revision:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching page revision',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/pages/:id/revisions/:version/restore - Make an old revision the current content
+router.post('/:id/revisions/:version/restore',
+  authenticate,
+  requirePermission('pages', 'update'),
+  param('id').isMongoId().withMessage('Invalid page ID'),
+  param('version').isInt({ min: 1 }).withMessage('Invalid revision version'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const version = parseInt(req.params.version);
+
+      const [page, revision] = await Promise.all([
+        Page.findById(id),
+        PageRevision.findOne({ page: id, version })
+      ]);
+
+      if (!page) {
+        return res.status(404).json({
+          success: false,
+          message: 'Page not found'
+        });
+      }
+
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      if (rejectPageChange(req, res, page)) {
+        return;
+      }
+
+      const restored = { ...revision.snapshot };
+      for (const field of NON_RESTORABLE_FIELDS) {
+        delete restored[field];
+      }
+
+      // The old slug may since have been taken by another page
+      if (restored.slug) {
+        const existingPage = await Page.findOne({ slug: restored.slug, _id: { $ne: id } });
+        if (existingPage) {
+          return res.status(400).json({
+            success: false,
+            message: 'A page with this slug already exists'
+          });
+        }
+      }
+
+      const previous = PageRevision.snapshot(page);
+
+      // Clear fields that did not exist yet when the revision was taken
+      for (const field of Object.keys(previous)) {
+        if (!(field in restored) && !NON_RESTORABLE_FIELDS.includes(field)) {
+          restored[field] = undefined;
+        }
+      }
+
+      page.set(restored);
+      await runInTransaction(async (session) => {
+        await page.save({ session });
+        await PageRevision.record({ page, previous, user: req.user, action: 'restore', restoredFrom: version, session });
+      });
+
+      res.json({
+        success: true,
+        message: `Page restored to revision ${version}`,
+        data: page
+      });
+    } catch (error) {
+      console.error('Error restoring page revision:', error);
+
+      // The revision may no longer be valid, e.g. it names a group that was since deleted
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'This revision can no longer be restored',
+          errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error restoring page revision',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
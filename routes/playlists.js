@@ -1,8 +1,26 @@
 import express from 'express';
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import cors from 'cors';
-import { authenticate } from '../middleware/index.js';
-import Playlist from '../models/Playlist.js';
+import slugify from 'slugify';
+import { authenticate, optionalAuthenticate, requirePermission } from '../middleware/index.js';
+import { can } from '../config/permissions.js';
+import Playlist, { PLAYLIST_MODES } from '../models/Playlist.js';
+import Track, { TRACK_SORTS } from '../models/Track.js';
+import {
+  runInTransaction,
+  findMissingIds,
+  addTracksToPlaylist,
+  removeTracksFromPlaylist,
+  setPlaylistTracks,
+  deletePlaylist,
+  insertTrackIntoPlaylist,
+  reorderPlaylistTracks
+} from '../services/membership.js';
+import { planImport, MAX_IMPORT_ENTRIES } from '../services/playlistImport.js';
+import { refreshSmartPlaylists } from '../jobs/smartPlaylists.js';
+import { buildPodcastFeed, validatePodcastFeed } from '../utils/podcast.js';
+import { resolveEnclosureLengths } from '../services/podcastEnclosures.js';
+import { PLAYLIST_FORMATS, PLAYLIST_CONTENT_TYPES, exportPlaylist, parsePlaylist, detectPlaylistFormat } from '../utils/playlistFormats.js';
 
 const router = express.Router();
 
@@ -19,6 +37,53 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Only the owner of a playlist, or a role allowed to change any playlist, may change it.
+// Runs after the :id param is validated and leaves the playlist's ownership and mode on
+// req.playlist. `action` is the playlist permission checked ('update' or 'delete').
+const requirePlaylistOwner = (action = 'update') => async (req, res, next) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id).select('owner isPublic mode');
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    if (!playlist.isManageableBy(req.user, action)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner of this playlist can change it'
+      });
+    }
+
+    req.playlist = playlist;
+    next();
+  } catch (error) {
+    console.error('Error checking playlist ownership:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking playlist ownership',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Tracks of a smart playlist come from its rules and cannot be edited by hand
+const requireManualPlaylist = (req, res, next) => {
+  if (req.playlist.mode === 'smart') {
+    return res.status(409).json({
+      success: false,
+      message: 'Tracks of a smart playlist are defined by its rules; switch it to manual mode to edit them'
+    });
+  }
+  next();
+};
+
+// Ownership and share links are never written through the generic create/update
+const stripOwnershipFields = ({ owner, shareLinks, rulesEvaluatedAt, ...data }) => data;
+
 // Validation rules for creating/updating playlists
 const playlistValidationRules = [
   body('title')
@@ -79,13 +144,76 @@ const playlistValidationRules = [
         throw new Error('Cannot have more than 20 tags');
       }
       return true;
-    })
+    }),
+
+  body('mode')
+    .optional()
+    .isIn(PLAYLIST_MODES)
+    .withMessage(`Mode must be one of: ${PLAYLIST_MODES.join(', ')}`),
+
+  body('rules')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Rules must be an object')
+    .custom((rules) => {
+      if (rules.releasedFrom && rules.releasedTo && new Date(rules.releasedTo) < new Date(rules.releasedFrom)) {
+        throw new Error('releasedTo must not be before releasedFrom');
+      }
+      return true;
+    }),
+
+  body(['rules.categories', 'rules.authors'])
+    .optional()
+    .isArray()
+    .withMessage('Rule categories and authors must be arrays'),
+
+  body('rules.trending')
+    .optional()
+    .isBoolean()
+    .withMessage('Rule trending must be a boolean'),
+
+  body(['rules.releasedFrom', 'rules.releasedTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Rule release dates must be valid ISO 8601 dates'),
+
+  body('rules.releasedWithinDays')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Rule releasedWithinDays must be a positive integer'),
+
+  body('rules.minPlays')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Rule minPlays must be a non-negative integer'),
+
+  body('rules.sort')
+    .optional()
+    .isIn(Object.keys(TRACK_SORTS))
+    .withMessage(`Rule sort must be one of: ${Object.keys(TRACK_SORTS).join(', ')}`),
+
+  body('rules.limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Rule limit must be between 1 and 200')
 ];
 
-// GET /api/playlists - Get all playlists
-router.get('/', cors({ origin: '*' }), async (req, res) => {
+// Smart playlists cannot also be given a hand-picked track list
+const rejectTracksForSmartPlaylist = (res, mode, trackIds) => {
+  if (mode === 'smart' && trackIds?.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: 'Tracks of a smart playlist are defined by its rules and cannot be set directly'
+    });
+    return true;
+  }
+  return false;
+};
+
+// GET /api/playlists - Get all playlists (public only unless `isPublic` or `mine` asks otherwise)
+router.get('/', cors({ origin: '*' }), optionalAuthenticate, async (req, res) => {
   try {
-    const { page = 1, limit = 10, createdBy, isPublic, search, tag } = req.query;
+    const { page = 1, limit = 10, createdBy, isPublic, mine, search, tag } = req.query;
     const skip = (page - 1) * limit;
 
     // Build query
@@ -95,8 +223,20 @@ router.get('/', cors({ origin: '*' }), async (req, res) => {
       query.createdBy = createdBy;
     }
 
+    if (mine === 'true') {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required to list your playlists'
+        });
+      }
+      query.owner = req.user._id;
+    }
+
     if (isPublic !== undefined) {
       query.isPublic = isPublic === 'true';
+    } else if (mine !== 'true') {
+      query.isPublic = true;
     }
 
     if (tag) {
@@ -111,12 +251,24 @@ router.get('/', cors({ origin: '*' }), async (req, res) => {
       ];
     }
 
-    // Get playlists with pagination and populate tracks
-    const playlists = await Playlist.find(query)
-      .populate('tracks')
+    // Private playlists are only ever listed for their owner or an admin
+    query = { $and: [Playlist.visibleTo(req.user), query] };
+
+    // The page of playlists to return
+    const pageIds = (await Playlist.find(query)
+      .select('_id')
       .sort({ createdAt: -1 })
       .skip(skip)
-      .limit(parseInt(limit));
+      .limit(parseInt(limit))
+      .lean()).map(playlist => playlist._id);
+
+    // Smart playlists on this page are brought up to date before they are read; the rest
+    // is left to the scheduled job, so one read never rewrites more than a page
+    await refreshSmartPlaylists({ filter: { _id: { $in: pageIds } }, staleOnly: true });
+
+    const playlists = await Playlist.find({ _id: { $in: pageIds } })
+      .populate('tracks')
+      .sort({ createdAt: -1 });
 
     // Get total count for pagination
     const total = await Playlist.countDocuments(query);
@@ -143,16 +295,309 @@ router.get('/', cors({ origin: '*' }), async (req, res) => {
   }
 });
 
+// GET /api/playlists/:id/feed.xml - Podcast RSS feed for a public playlist
+router.get('/:id/feed.xml',
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  handleValidationErrors,
+  cors({ origin: '*' }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      await refreshSmartPlaylists({ filter: { _id: id }, staleOnly: true });
+      const playlist = await Playlist.findOne({ _id: id, isPublic: true }).populate('tracks').lean();
+
+      if (!playlist) {
+        return res.status(404).type('text/plain').send('Podcast feed not found');
+      }
+
+      // Never publish a feed that podcast directories would reject. The problems themselves
+      // are for editors (GET /:id/feed/validate), not for the public.
+      if (validatePodcastFeed(playlist).some(problem => problem.level === 'error')) {
+        return res.status(422).json({
+          success: false,
+          message: 'Playlist is not a valid podcast feed'
+        });
+      }
+
+      // The feed changes whenever the playlist or any of its episodes does
+      const lastModified = [playlist, ...playlist.tracks.filter(Boolean)]
+        .map(doc => new Date(doc.updatedAt))
+        .reduce((latest, date) => (date > latest ? date : latest), new Date(0));
+
+      res.set('Cache-Control', 'public, max-age=900, stale-while-revalidate=3600');
+      res.set('Last-Modified', lastModified.toUTCString());
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      const feedUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/${playlist._id}/feed.xml`;
+      const lengths = await resolveEnclosureLengths(playlist);
+
+      res.type('application/rss+xml').send(buildPodcastFeed({ playlist, feedUrl, lengths }));
+    } catch (error) {
+      console.error('Error generating podcast feed:', error);
+      res.status(500).type('text/plain').send('Error generating podcast feed');
+    }
+  }
+);
+
+// GET /api/playlists/:id/feed/validate - Check a playlist against the podcast feed requirements
+router.get('/:id/feed/validate',
+  authenticate,
+  requirePermission('playlists', 'read'),
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      await refreshSmartPlaylists({ filter: { _id: id }, staleOnly: true });
+      const playlist = await Playlist.findOne({ _id: id, ...Playlist.visibleTo(req.user) }).populate('tracks').lean();
+
+      if (!playlist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Playlist not found'
+        });
+      }
+
+      const problems = validatePodcastFeed(playlist);
+
+      res.json({
+        success: true,
+        data: {
+          valid: !problems.some(problem => problem.level === 'error'),
+          problems
+        }
+      });
+    } catch (error) {
+      console.error('Error validating podcast feed:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error validating podcast feed',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/playlists/:id/export - Download a playlist as M3U8, XSPF or JSON
+router.get('/:id/export',
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  query('format').optional().isIn(PLAYLIST_FORMATS).withMessage(`Format must be one of: ${PLAYLIST_FORMATS.join(', ')}`),
+  handleValidationErrors,
+  cors({ origin: '*' }),
+  optionalAuthenticate,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { format = 'json' } = req.query;
+
+      await refreshSmartPlaylists({ filter: { _id: id }, staleOnly: true });
+      const playlist = await Playlist.findOne({ _id: id, ...Playlist.visibleTo(req.user) }).populate('tracks').lean();
+
+      if (!playlist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Playlist not found'
+        });
+      }
+
+      const fileName = slugify(playlist.title || 'playlist', { lower: true, strict: true }) || 'playlist';
+
+      res.set('Content-Type', PLAYLIST_CONTENT_TYPES[format]);
+      res.attachment(`${fileName}.${format}`);
+      res.send(exportPlaylist(playlist, format));
+    } catch (error) {
+      console.error('Error exporting playlist:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error exporting playlist',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/playlists/import - Create a playlist (or extend one with `playlistId`) from an
+// M3U8, XSPF or JSON playlist, matching entries to existing tracks and creating the rest
+router.post('/import',
+  authenticate,
+  requirePermission('playlists', 'create'),
+  body('content')
+    .exists({ values: 'falsy' })
+    .withMessage('Playlist content is required'),
+  body('format')
+    .optional()
+    .isIn(PLAYLIST_FORMATS)
+    .withMessage(`Format must be one of: ${PLAYLIST_FORMATS.join(', ')}`),
+  body('playlistId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid playlist ID'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot be more than 200 characters'),
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean'),
+  body('createMissing')
+    .optional()
+    .isBoolean()
+    .withMessage('createMissing must be a boolean')
+    .toBoolean(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      // Only roles that may create tracks get missing entries created by default
+      const canCreateTracks = can(req.user, 'tracks', 'create');
+      const { content, format = detectPlaylistFormat(content), playlistId, title, isPublic, createMissing = canCreateTracks } = req.body;
+
+      if (createMissing && !canCreateTracks) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your role does not allow you to create tracks; import with createMissing=false'
+        });
+      }
+
+      let parsed;
+      try {
+        parsed = parsePlaylist(content, format);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Could not parse ${format} playlist`,
+          error: error.message
+        });
+      }
+
+      if (parsed.entries.length > MAX_IMPORT_ENTRIES) {
+        return res.status(400).json({
+          success: false,
+          message: `A playlist import cannot have more than ${MAX_IMPORT_ENTRIES} entries`
+        });
+      }
+
+      if (playlistId) {
+        const target = await Playlist.findById(playlistId).select('owner mode');
+        if (!target) {
+          return res.status(404).json({
+            success: false,
+            message: 'Playlist not found'
+          });
+        }
+        if (!target.isManageableBy(req.user)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Only the owner of this playlist can change it'
+          });
+        }
+        if (target.mode === 'smart') {
+          return res.status(409).json({
+            success: false,
+            message: 'Tracks cannot be imported into a smart playlist'
+          });
+        }
+      }
+
+      const { order, toCreate, report } = await planImport(parsed.entries, { createMissing });
+
+      // New tracks and the playlist change are written together or not at all
+      const id = await runInTransaction(async (session) => {
+        for (const track of toCreate) {
+          await track.save({ session });
+        }
+
+        if (playlistId) {
+          await addTracksToPlaylist(playlistId, order, session);
+          return playlistId;
+        }
+
+        const playlist = new Playlist({
+          title: title || parsed.title || 'Imported playlist',
+          description: parsed.description,
+          tags: (parsed.tags || []).slice(0, 20),
+          isPublic,
+          createdBy: req.user.username,
+          owner: req.user._id
+        });
+        await playlist.save({ session });
+        await setPlaylistTracks(playlist._id, order, session);
+        return playlist._id;
+      });
+
+      res.status(playlistId ? 200 : 201).json({
+        success: true,
+        message: `Imported ${report.matched.length + report.created.length} of ${parsed.entries.length} entries`,
+        data: {
+          playlist: await Playlist.findById(id).populate('tracks'),
+          report: {
+            format,
+            total: parsed.entries.length,
+            ...report
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error importing playlist:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error importing playlist',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/playlists/shared/:token - View a playlist through an unlisted share link
+router.get('/shared/:token',
+  cors({ origin: '*' }),
+  async (req, res) => {
+    try {
+      const playlist = await Playlist.findByShareToken(req.params.token);
+
+      if (!playlist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Share link is invalid, expired or revoked'
+        });
+      }
+
+      await refreshSmartPlaylists({ filter: { _id: playlist._id }, staleOnly: true });
+
+      res.json({
+        success: true,
+        data: await Playlist.findById(playlist._id).populate('tracks')
+      });
+    } catch (error) {
+      console.error('Error fetching shared playlist:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching shared playlist',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
 // GET /api/playlists/:id - Get a single playlist by ID
 router.get('/:id',
   param('id').isMongoId().withMessage('Invalid playlist ID'),
   handleValidationErrors,
   cors({ origin: '*' }),
+  optionalAuthenticate,
   async (req, res) => {
     try {
       const { id } = req.params;
 
-      const playlist = await Playlist.findById(id).populate('tracks');
+      await refreshSmartPlaylists({ filter: { _id: id }, staleOnly: true });
+
+      // Private playlists look the same as missing ones to everyone but their owner and admins
+      const playlist = await Playlist.findOne({ _id: id, ...Playlist.visibleTo(req.user) }).populate('tracks');
 
       if (!playlist) {
         return res.status(404).json({
@@ -179,22 +624,46 @@ router.get('/:id',
 // POST /api/playlists - Create a new playlist
 router.post('/',
   authenticate,
+  requirePermission('playlists', 'create'),
   playlistValidationRules,
   handleValidationErrors,
   async (req, res) => {
     try {
-      const playlistData = req.body;
+      const { tracks: trackIds = [], ...playlistData } = stripOwnershipFields(req.body);
+
+      if (rejectTracksForSmartPlaylist(res, playlistData.mode, trackIds)) {
+        return;
+      }
+
+      const missing = await findMissingIds(Track, trackIds);
+      if (missing.length > 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Track not found',
+          data: { missing }
+        });
+      }
 
-      const playlist = new Playlist(playlistData);
-      await playlist.save();
+      const playlist = new Playlist({
+        createdBy: req.user.username,
+        ...playlistData,
+        owner: req.user._id
+      });
+
+      // The playlist and its track memberships are created together or not at all
+      await runInTransaction(async (session) => {
+        await playlist.save({ session });
+        await setPlaylistTracks(playlist._id, trackIds, session);
+      });
 
-      // Populate tracks in the response
-      await playlist.populate('tracks');
+      if (playlist.mode === 'smart') {
+        await refreshSmartPlaylists({ filter: { _id: playlist._id } });
+      }
 
       res.status(201).json({
         success: true,
         message: 'Playlist created successfully',
-        data: playlist
+        data: await Playlist.findById(playlist._id).populate('tracks')
       });
     } catch (error) {
       console.error('Error creating playlist:', error);
@@ -210,31 +679,61 @@ router.post('/',
 // PUT /api/playlists/:id - Update a playlist
 router.put('/:id',
   authenticate,
+  requirePermission('playlists', 'update'),
   param('id').isMongoId().withMessage('Invalid playlist ID'),
   playlistValidationRules,
+  body('expectedVersion')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Expected version must be a non-negative integer')
+    .toInt(),
   handleValidationErrors,
+  requirePlaylistOwner(),
   async (req, res) => {
     try {
       const { id } = req.params;
-      const updateData = req.body;
+      // Totals are derived from the tracks and never written directly
+      const { tracks: trackIds, trackCount, duration, durationSeconds, tracksVersion, expectedVersion, ...updateData } = stripOwnershipFields(req.body);
+      const mode = updateData.mode || req.playlist.mode;
 
-      const playlist = await Playlist.findByIdAndUpdate(
-        id,
-        updateData,
-        { new: true, runValidators: true }
-      ).populate('tracks');
+      if (rejectTracksForSmartPlaylist(res, mode, trackIds)) {
+        return;
+      }
 
-      if (!playlist) {
-        return res.status(404).json({
-          success: false,
-          message: 'Playlist not found'
-        });
+      if (trackIds) {
+        const missing = await findMissingIds(Track, trackIds);
+        if (missing.length > 0) {
+          return res.status(404).json({
+            success: false,
+            message: 'Track not found',
+            data: { missing }
+          });
+        }
+      }
+
+      // Track membership goes through the membership service so both sides stay in sync.
+      // Tracks are replaced first so a stale expectedVersion, when sent, leaves the playlist untouched.
+      const updated = await runInTransaction(async (session) => {
+        if (trackIds && !(await setPlaylistTracks(id, trackIds, session, expectedVersion))) {
+          return false;
+        }
+        await Playlist.findByIdAndUpdate(id, updateData, { runValidators: true, session });
+        return true;
+      });
+
+      if (!updated) {
+        return sendVersionConflict(res, id);
+      }
+
+      // Re-evaluate straight away when the playlist became smart or its rules changed
+      if (mode === 'smart' && (updateData.mode || updateData.rules)) {
+        await refreshSmartPlaylists({ filter: { _id: id } });
       }
 
       res.json({
         success: true,
         message: 'Playlist updated successfully',
-        data: playlist
+        data: await Playlist.findById(id).populate('tracks')
       });
     } catch (error) {
       console.error('Error updating playlist:', error);
@@ -250,13 +749,16 @@ router.put('/:id',
 // DELETE /api/playlists/:id - Delete a playlist
 router.delete('/:id',
   authenticate,
+  requirePermission('playlists', 'delete'),
   param('id').isMongoId().withMessage('Invalid playlist ID'),
   handleValidationErrors,
+  requirePlaylistOwner('delete'),
   async (req, res) => {
     try {
       const { id } = req.params;
 
-      const playlist = await Playlist.findByIdAndDelete(id);
+      // Tracks keep no reference to the deleted playlist
+      const playlist = await deletePlaylist(id);
 
       if (!playlist) {
         return res.status(404).json({
@@ -284,9 +786,12 @@ router.delete('/:id',
 // PUT /api/playlists/:id/tracks - Add tracks to playlist
 router.put('/:id/tracks',
   authenticate,
+  requirePermission('playlists', 'update'),
   param('id').isMongoId().withMessage('Invalid playlist ID'),
   body('trackIds').isArray().withMessage('Track IDs must be an array'),
   handleValidationErrors,
+  requirePlaylistOwner(),
+  requireManualPlaylist,
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -302,7 +807,7 @@ router.put('/:id/tracks',
         }
       }
 
-      const playlist = await Playlist.findById(id);
+      const playlist = await Playlist.exists({ _id: id });
 
       if (!playlist) {
         return res.status(404).json({
@@ -311,20 +816,22 @@ router.put('/:id/tracks',
         });
       }
 
-      // Add tracks to playlist (avoid duplicates)
-      for (const trackId of trackIds) {
-        if (!playlist.tracks.includes(trackId)) {
-          playlist.tracks.push(trackId);
-        }
+      const missing = await findMissingIds(Track, trackIds);
+      if (missing.length > 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Track not found',
+          data: { missing }
+        });
       }
 
-      await playlist.save();
-      await playlist.populate('tracks');
+      // Add tracks to playlist (avoid duplicates)
+      await addTracksToPlaylist(id, trackIds);
 
       res.json({
         success: true,
         message: 'Tracks added to playlist successfully',
-        data: playlist
+        data: await Playlist.findById(id).populate('tracks')
       });
     } catch (error) {
       console.error('Error adding tracks to playlist:', error);
@@ -340,14 +847,17 @@ router.put('/:id/tracks',
 // DELETE /api/playlists/:id/tracks/:trackId - Remove track from playlist
 router.delete('/:id/tracks/:trackId',
   authenticate,
+  requirePermission('playlists', 'update'),
   param('id').isMongoId().withMessage('Invalid playlist ID'),
   param('trackId').isMongoId().withMessage('Invalid track ID'),
   handleValidationErrors,
+  requirePlaylistOwner(),
+  requireManualPlaylist,
   async (req, res) => {
     try {
       const { id, trackId } = req.params;
 
-      const playlist = await Playlist.findById(id);
+      const playlist = await Playlist.exists({ _id: id });
 
       if (!playlist) {
         return res.status(404).json({
@@ -357,15 +867,12 @@ router.delete('/:id/tracks/:trackId',
       }
 
       // Remove track from playlist
-      playlist.tracks = playlist.tracks.filter(track => track.toString() !== trackId);
-
-      await playlist.save();
-      await playlist.populate('tracks');
+      await removeTracksFromPlaylist(id, [trackId]);
 
       res.json({
         success: true,
         message: 'Track removed from playlist successfully',
-        data: playlist
+        data: await Playlist.findById(id).populate('tracks')
       });
     } catch (error) {
       console.error('Error removing track from playlist:', error);
@@ -378,4 +885,386 @@ router.delete('/:id/tracks/:trackId',
   }
 );
 
+// Current order, version and totals of a playlist, as returned by the ordering endpoints
+const orderSummary = async (playlistId) => {
+  const playlist = await Playlist.findById(playlistId)
+    .select('tracks tracksVersion trackCount durationSeconds duration')
+    .lean();
+
+  return {
+    order: playlist.tracks,
+    version: playlist.tracksVersion,
+    trackCount: playlist.trackCount,
+    durationSeconds: playlist.durationSeconds,
+    duration: playlist.duration
+  };
+};
+
+// Reply 409 with the current order so the editor can rebase their change
+const sendVersionConflict = async (res, playlistId) => {
+  res.status(409).json({
+    success: false,
+    message: 'Playlist was changed by someone else; reload and try again',
+    data: await orderSummary(playlistId)
+  });
+};
+
+// Load a playlist for an ordering operation, replying 404/409 when it cannot proceed
+const loadForOrdering = async (req, res) => {
+  const playlist = await Playlist.findById(req.params.id).select('tracks tracksVersion');
+
+  if (!playlist) {
+    res.status(404).json({
+      success: false,
+      message: 'Playlist not found'
+    });
+    return null;
+  }
+
+  const { expectedVersion } = req.body;
+  if (expectedVersion !== undefined && expectedVersion !== playlist.tracksVersion) {
+    await sendVersionConflict(res, playlist._id);
+    return null;
+  }
+
+  return playlist;
+};
+
+const orderingValidationRules = [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  body('expectedVersion')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Expected version must be a non-negative integer')
+    .toInt()
+];
+
+// PUT /api/playlists/:id/tracks/order - Replace the order of a playlist's tracks
+router.put('/:id/tracks/order',
+  authenticate,
+  requirePermission('playlists', 'update'),
+  orderingValidationRules,
+  body('trackIds').isArray().withMessage('Track IDs must be an array'),
+  body('trackIds.*').isMongoId().withMessage('Invalid track ID'),
+  handleValidationErrors,
+  requirePlaylistOwner(),
+  requireManualPlaylist,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { trackIds } = req.body;
+
+      const playlist = await loadForOrdering(req, res);
+      if (!playlist) {
+        return;
+      }
+
+      // The new order must contain exactly the tracks already in the playlist
+      const current = playlist.tracks.map(String);
+      const isPermutation = trackIds.length === current.length &&
+        new Set(trackIds).size === trackIds.length &&
+        trackIds.every(trackId => current.includes(trackId));
+
+      if (!isPermutation) {
+        return res.status(400).json({
+          success: false,
+          message: 'Track IDs must list every track in the playlist exactly once'
+        });
+      }
+
+      if (!(await reorderPlaylistTracks(id, trackIds, playlist.tracksVersion))) {
+        return sendVersionConflict(res, id);
+      }
+
+      res.json({
+        success: true,
+        message: 'Playlist reordered successfully',
+        data: await orderSummary(id)
+      });
+    } catch (error) {
+      console.error('Error reordering playlist:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error reordering playlist',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/playlists/:id/tracks/move - Move one track to a new position (0-based)
+router.post('/:id/tracks/move',
+  authenticate,
+  requirePermission('playlists', 'update'),
+  orderingValidationRules,
+  body('trackId').isMongoId().withMessage('Invalid track ID'),
+  body('position').isInt({ min: 0 }).withMessage('Position must be a non-negative integer').toInt(),
+  handleValidationErrors,
+  requirePlaylistOwner(),
+  requireManualPlaylist,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { trackId, position } = req.body;
+
+      const playlist = await loadForOrdering(req, res);
+      if (!playlist) {
+        return;
+      }
+
+      const order = playlist.tracks.map(String);
+      const from = order.indexOf(trackId);
+
+      if (from === -1) {
+        return res.status(404).json({
+          success: false,
+          message: 'Track is not in this playlist'
+        });
+      }
+
+      order.splice(from, 1);
+      order.splice(Math.min(position, order.length), 0, trackId);
+
+      if (!(await reorderPlaylistTracks(id, order, playlist.tracksVersion))) {
+        return sendVersionConflict(res, id);
+      }
+
+      res.json({
+        success: true,
+        message: 'Track moved successfully',
+        data: await orderSummary(id)
+      });
+    } catch (error) {
+      console.error('Error moving track in playlist:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error moving track in playlist',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/playlists/:id/tracks/insert - Add a track at a position (0-based; past the end appends)
+router.post('/:id/tracks/insert',
+  authenticate,
+  requirePermission('playlists', 'update'),
+  orderingValidationRules,
+  body('trackId').isMongoId().withMessage('Invalid track ID'),
+  body('position').isInt({ min: 0 }).withMessage('Position must be a non-negative integer').toInt(),
+  handleValidationErrors,
+  requirePlaylistOwner(),
+  requireManualPlaylist,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { trackId, position } = req.body;
+
+      const playlist = await loadForOrdering(req, res);
+      if (!playlist) {
+        return;
+      }
+
+      if (playlist.tracks.some(track => track.toString() === trackId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Track is already in this playlist; move it instead'
+        });
+      }
+
+      const track = await Track.exists({ _id: trackId });
+      if (!track) {
+        return res.status(404).json({
+          success: false,
+          message: 'Track not found'
+        });
+      }
+
+      const inserted = await insertTrackIntoPlaylist(
+        id,
+        trackId,
+        Math.min(position, playlist.tracks.length),
+        playlist.tracksVersion
+      );
+
+      if (!inserted) {
+        return sendVersionConflict(res, id);
+      }
+
+      res.json({
+        success: true,
+        message: 'Track inserted successfully',
+        data: await orderSummary(id)
+      });
+    } catch (error) {
+      console.error('Error inserting track into playlist:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error inserting track into playlist',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/playlists/:id/refresh - Re-evaluate a smart playlist's rules now
+router.post('/:id/refresh',
+  authenticate,
+  requirePermission('playlists', 'update'),
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  handleValidationErrors,
+  requirePlaylistOwner(),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (req.playlist.mode !== 'smart') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only smart playlists can be refreshed'
+        });
+      }
+
+      const result = await refreshSmartPlaylists({ filter: { _id: id } });
+
+      res.json({
+        success: true,
+        message: result.changed > 0 ? 'Smart playlist updated' : 'Smart playlist already up to date',
+        data: await Playlist.findById(id).populate('tracks')
+      });
+    } catch (error) {
+      console.error('Error refreshing smart playlist:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error refreshing smart playlist',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Share link metadata as shown to the owner (tokens are only returned when created)
+const shareLinkSummary = (link) => ({
+  id: link._id,
+  label: link.label,
+  createdBy: link.createdBy,
+  createdAt: link.createdAt,
+  expiresAt: link.expiresAt,
+  revokedAt: link.revokedAt,
+  active: !link.revokedAt && (!link.expiresAt || link.expiresAt > new Date())
+});
+
+// GET /api/playlists/:id/share-links - List a playlist's share links
+router.get('/:id/share-links',
+  authenticate,
+  requirePermission('playlists', 'update'),
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  handleValidationErrors,
+  requirePlaylistOwner(),
+  async (req, res) => {
+    try {
+      const playlist = await Playlist.findById(req.params.id).select('+shareLinks');
+
+      res.json({
+        success: true,
+        data: playlist.shareLinks.map(shareLinkSummary)
+      });
+    } catch (error) {
+      console.error('Error fetching share links:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching share links',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/playlists/:id/share-links - Create an unlisted share link
+router.post('/:id/share-links',
+  authenticate,
+  requirePermission('playlists', 'update'),
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Label cannot be more than 100 characters'),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+    .toInt(),
+  handleValidationErrors,
+  requirePlaylistOwner(),
+  async (req, res) => {
+    try {
+      const { label, expiresInDays } = req.body;
+
+      const playlist = await Playlist.findById(req.params.id).select('+shareLinks');
+      const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null;
+
+      const { link, token } = await playlist.createShareLink({ user: req.user, label, expiresAt });
+
+      res.status(201).json({
+        success: true,
+        message: 'Share link created successfully',
+        data: {
+          ...shareLinkSummary(link),
+          token,
+          url: `${req.protocol}://${req.get('host')}${req.baseUrl}/shared/${token}`
+        }
+      });
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating share link',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/playlists/:id/share-links/:linkId - Revoke a share link
+router.delete('/:id/share-links/:linkId',
+  authenticate,
+  requirePermission('playlists', 'update'),
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  param('linkId').isMongoId().withMessage('Invalid share link ID'),
+  handleValidationErrors,
+  requirePlaylistOwner(),
+  async (req, res) => {
+    try {
+      const { id, linkId } = req.params;
+
+      const playlist = await Playlist.findOneAndUpdate(
+        { _id: id, shareLinks: { $elemMatch: { _id: linkId, revokedAt: null } } },
+        { $set: { 'shareLinks.$.revokedAt': new Date() } },
+        { new: true }
+      ).select('+shareLinks');
+
+      if (!playlist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Share link not found or already revoked'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Share link revoked successfully',
+        data: shareLinkSummary(playlist.shareLinks.id(linkId))
+      });
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error revoking share link',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
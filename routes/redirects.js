@@ -0,0 +1,340 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticate, requireAdmin } from '../middleware/index.js';
+import Redirect, { normalizeRedirectPath } from '../models/Redirect.js';
+import Page from '../models/Page.js';
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Validation rules for creating/updating redirects
+const redirectValidationRules = [
+  body('from')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Source path cannot be empty')
+    .isLength({ max: 500 })
+    .withMessage('Source path cannot be more than 500 characters'),
+
+  body('page')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid page ID'),
+
+  body('to')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Destination cannot be more than 500 characters'),
+
+  body('statusCode')
+    .optional()
+    .isIn([301, 302])
+    .withMessage('Status code must be 301 or 302')
+];
+
+// A redirect source must not shadow a live page, and a page target must exist
+const checkRedirectTargets = async ({ from, page }) => {
+  if (from) {
+    const livePage = await Page.findOne({ slug: normalizeRedirectPath(from) }).select('_id');
+    if (livePage) {
+      return 'A page with this slug already exists';
+    }
+  }
+
+  if (page) {
+    const targetPage = await Page.exists({ _id: page });
+    if (!targetPage) {
+      return 'Target page not found';
+    }
+  }
+
+  return null;
+};
+
+// GET /api/redirects/resolve?path= - Resolve a retired slug or legacy site path (public)
+router.get('/resolve',
+  query('path').trim().notEmpty().withMessage('Path is required'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const from = normalizeRedirectPath(req.query.path);
+
+      const redirect = await Redirect.findOne({ from });
+
+      if (!redirect) {
+        return res.status(404).json({
+          success: false,
+          message: 'Redirect not found'
+        });
+      }
+
+      let location = redirect.to;
+      let slug;
+
+      if (redirect.page) {
+        const target = await Page.findOne({ ...Page.publishedFilter(), _id: redirect.page }).select('slug');
+        if (!target) {
+          return res.status(404).json({
+            success: false,
+            message: 'Redirect not found'
+          });
+        }
+        slug = target.slug;
+        location = `/${target.slug}`;
+      }
+
+      redirect.trackHit();
+
+      res.json({
+        success: true,
+        data: {
+          from: redirect.from,
+          statusCode: redirect.statusCode,
+          location,
+          slug
+        }
+      });
+    } catch (error) {
+      console.error('Error resolving redirect:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error resolving redirect',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/redirects - List redirects
+router.get('/', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, source, pageId, search } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    let query = {};
+
+    if (source) {
+      query.source = source;
+    }
+
+    if (pageId) {
+      query.page = pageId;
+    }
+
+    if (search) {
+      query.$or = [
+        { from: { $regex: search, $options: 'i' } },
+        { to: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const redirects = await Redirect.find(query)
+      .populate('page', 'title slug')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Redirect.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        redirects,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching redirects:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching redirects',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/redirects - Create a manual redirect
+router.post('/',
+  authenticate,
+  requireAdmin,
+  body('from').exists().withMessage('Source path is required'),
+  redirectValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { from, page, to, statusCode } = req.body;
+
+      const conflict = await checkRedirectTargets({ from, page });
+      if (conflict) {
+        return res.status(400).json({
+          success: false,
+          message: conflict
+        });
+      }
+
+      const redirect = new Redirect({
+        from,
+        page,
+        to,
+        statusCode,
+        source: 'manual',
+        createdBy: req.user._id
+      });
+      await redirect.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Redirect created successfully',
+        data: redirect
+      });
+    } catch (error) {
+      console.error('Error creating redirect:', error);
+
+      if (error.code === 11000 && error.keyPattern?.from) {
+        return res.status(400).json({
+          success: false,
+          message: 'A redirect from this path already exists'
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error creating redirect',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// PUT /api/redirects/:id - Update a redirect
+router.put('/:id',
+  authenticate,
+  requireAdmin,
+  param('id').isMongoId().withMessage('Invalid redirect ID'),
+  redirectValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { from, page, to, statusCode } = req.body;
+
+      const redirect = await Redirect.findById(id);
+
+      if (!redirect) {
+        return res.status(404).json({
+          success: false,
+          message: 'Redirect not found'
+        });
+      }
+
+      const conflict = await checkRedirectTargets({ from, page });
+      if (conflict) {
+        return res.status(400).json({
+          success: false,
+          message: conflict
+        });
+      }
+
+      // Only touch the fields that were sent
+      const updates = Object.fromEntries(
+        Object.entries({ from, page, to, statusCode }).filter(([, value]) => value !== undefined)
+      );
+      redirect.set(updates);
+      await redirect.save();
+
+      res.json({
+        success: true,
+        message: 'Redirect updated successfully',
+        data: redirect
+      });
+    } catch (error) {
+      console.error('Error updating redirect:', error);
+
+      if (error.code === 11000 && error.keyPattern?.from) {
+        return res.status(400).json({
+          success: false,
+          message: 'A redirect from this path already exists'
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error updating redirect',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/redirects/:id - Delete a redirect
+router.delete('/:id',
+  authenticate,
+  requireAdmin,
+  param('id').isMongoId().withMessage('Invalid redirect ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const redirect = await Redirect.findByIdAndDelete(id);
+
+      if (!redirect) {
+        return res.status(404).json({
+          success: false,
+          message: 'Redirect not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Redirect deleted successfully',
+        data: { id: redirect._id, from: redirect.from }
+      });
+    } catch (error) {
+      console.error('Error deleting redirect:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting redirect',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
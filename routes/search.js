@@ -0,0 +1,263 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import Page from '../models/Page.js';
+import Track from '../models/Track.js';
+import Playlist from '../models/Playlist.js';
+import { tokenize, buildSnippet, closestWord, escapeRegExp } from '../utils/search.js';
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// How each content type is searched, filtered and presented.
+// `filter` returns null when the type cannot satisfy the requested filters.
+const SEARCH_TYPES = {
+  pages: {
+    model: Page,
+    select: 'title slug description content imageUrl thumbnailUrl groups tags category createdAt',
+    filter: ({ group, tag, category }) => {
+      const filter = Page.publishedFilter();
+      if (group) filter.groups = group;
+      if (tag) filter.tags = tag;
+      if (category) filter.category = category;
+      return filter;
+    },
+    toResult: (doc, terms) => ({
+      type: 'page',
+      id: doc._id,
+      title: doc.title,
+      slug: doc.slug,
+      thumbnail: doc.thumbnailUrl,
+      groups: doc.groups,
+      snippet: buildSnippet(doc.content || doc.description, terms),
+      highlightedTitle: buildSnippet(doc.title, terms, 200)
+    })
+  },
+  tracks: {
+    model: Track,
+    select: 'title author description category thumbnail createdAt',
+    filter: ({ group, tag, category }) => {
+      if (group || tag) return null;
+      const filter = {};
+      if (category) filter.category = category;
+      return filter;
+    },
+    toResult: (doc, terms) => ({
+      type: 'track',
+      id: doc._id,
+      title: doc.title,
+      author: doc.author,
+      thumbnail: doc.thumbnail,
+      category: doc.category,
+      snippet: buildSnippet(doc.description || doc.author, terms),
+      highlightedTitle: buildSnippet(doc.title, terms, 200)
+    })
+  },
+  playlists: {
+    model: Playlist,
+    select: 'title description thumbnail tags trackCount createdAt',
+    filter: ({ group, tag, category }) => {
+      if (group || category) return null;
+      const filter = { isPublic: true };
+      if (tag) filter.tags = tag;
+      return filter;
+    },
+    toResult: (doc, terms) => ({
+      type: 'playlist',
+      id: doc._id,
+      title: doc.title,
+      thumbnail: doc.thumbnail,
+      trackCount: doc.trackCount,
+      snippet: buildSnippet(doc.description, terms),
+      highlightedTitle: buildSnippet(doc.title, terms, 200)
+    })
+  }
+};
+
+// Words and titles known to the site, used for typo-tolerant suggestions
+const VOCABULARY_TTL = 10 * 60 * 1000; // 10 minutes
+let vocabularyCache = null;
+
+const getVocabulary = async () => {
+  if (vocabularyCache && Date.now() - vocabularyCache.builtAt < VOCABULARY_TTL) {
+    return vocabularyCache;
+  }
+
+  const [pages, tracks, playlists] = await Promise.all([
+    Page.find(Page.publishedFilter()).select('title slug tags').lean(),
+    Track.find().select('title author category').lean(),
+    Playlist.find({ isPublic: true }).select('title tags').lean()
+  ]);
+
+  const entries = [
+    ...pages.map(doc => ({ type: 'page', id: doc._id, title: doc.title, slug: doc.slug, extra: doc.tags })),
+    ...tracks.map(doc => ({ type: 'track', id: doc._id, title: doc.title, extra: [doc.author, doc.category] })),
+    ...playlists.map(doc => ({ type: 'playlist', id: doc._id, title: doc.title, extra: doc.tags }))
+  ].filter(entry => entry.title);
+
+  const words = new Set();
+  for (const entry of entries) {
+    for (const word of tokenize([entry.title, ...(entry.extra || [])].join(' '))) {
+      words.add(word.replace(/[^\p{L}\p{N}-]/gu, ''));
+    }
+  }
+  words.delete('');
+
+  vocabularyCache = {
+    builtAt: Date.now(),
+    words,
+    titles: entries.map(({ type, id, title, slug }) => ({ type, id, title, slug }))
+  };
+
+  return vocabularyCache;
+};
+
+// Query with each unknown word replaced by its closest known spelling, or null if nothing changed
+const correctQuery = (terms, words) => {
+  const corrected = terms.map(term => closestWord(term, words) || term);
+  return corrected.join(' ') !== terms.join(' ') ? corrected.join(' ') : null;
+};
+
+// GET /api/search - Relevance-ranked search across pages, tracks and playlists
+router.get('/',
+  query('q').isString().withMessage('Search query must be a single value').trim().notEmpty().withMessage('Search query is required'),
+  query('type').optional().isString().withMessage('Type must be a single comma-separated value').bail().custom((value) => {
+    const types = String(value).split(',');
+    if (types.some(type => !SEARCH_TYPES[type])) {
+      throw new Error(`Type must be one of: ${Object.keys(SEARCH_TYPES).join(', ')}`);
+    }
+    return true;
+  }),
+  query(['group', 'tag', 'category']).optional().isString().withMessage('Filters must be single values'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { q, type, group, tag, category, page = 1, limit = 10 } = req.query;
+      const skip = (page - 1) * limit;
+      const terms = tokenize(q);
+      const types = type ? type.split(',') : Object.keys(SEARCH_TYPES);
+
+      // Each type contributes its top skip+limit hits; the merged list is then paginated
+      const perType = await Promise.all(types.map(async (name) => {
+        const config = SEARCH_TYPES[name];
+        const filter = config.filter({ group, tag, category });
+
+        if (!filter) {
+          return { name, total: 0, results: [] };
+        }
+
+        const textQuery = { ...filter, $text: { $search: q } };
+        const [docs, total] = await Promise.all([
+          config.model.find(textQuery, { score: { $meta: 'textScore' } })
+            .select(config.select)
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(skip + parseInt(limit))
+            .lean(),
+          config.model.countDocuments(textQuery)
+        ]);
+
+        return {
+          name,
+          total,
+          results: docs.map(doc => ({ ...config.toResult(doc, terms), score: doc.score }))
+        };
+      }));
+
+      const results = perType
+        .flatMap(entry => entry.results)
+        .sort((a, b) => b.score - a.score)
+        .slice(skip, skip + parseInt(limit));
+
+      const total = perType.reduce((sum, entry) => sum + entry.total, 0);
+      const counts = Object.fromEntries(perType.map(entry => [entry.name, entry.total]));
+
+      let didYouMean = null;
+      if (total === 0) {
+        const { words } = await getVocabulary();
+        didYouMean = correctQuery(terms, words);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          query: q,
+          results,
+          counts,
+          didYouMean,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error searching content:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error searching content',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/search/suggest - Typo-tolerant title suggestions for the site search box
+router.get('/suggest',
+  query('q').isString().withMessage('Search query must be a single value').trim().notEmpty().withMessage('Search query is required'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { q, limit = 8 } = req.query;
+      const terms = tokenize(q);
+      const { words, titles } = await getVocabulary();
+
+      // Complete the word being typed; correct the ones already finished
+      const finished = terms.slice(0, -1).map(term => closestWord(term, words) || term);
+      const typing = terms[terms.length - 1] || q.trim().toLowerCase();
+      const patterns = [...finished, typing].map(term => new RegExp(`(^|\\W)${escapeRegExp(term)}`, 'i'));
+
+      let suggestions = titles.filter(entry => patterns.every(pattern => pattern.test(entry.title)));
+
+      // Nothing starts that way: fall back to the closest spelling of the whole query
+      const didYouMean = suggestions.length === 0 ? correctQuery(terms, words) : null;
+      if (didYouMean) {
+        const corrected = tokenize(didYouMean).map(term => new RegExp(`(^|\\W)${escapeRegExp(term)}`, 'i'));
+        suggestions = titles.filter(entry => corrected.every(pattern => pattern.test(entry.title)));
+      }
+
+      res.json({
+        success: true,
+        data: {
+          query: q,
+          suggestions: suggestions.slice(0, parseInt(limit)),
+          didYouMean
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching search suggestions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching search suggestions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
@@ -1,8 +1,26 @@
 import express from 'express';
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import cors from 'cors';
-import { authenticate } from '../middleware/index.js';
-import Track from '../models/Track.js';
+import crypto from 'crypto';
+import { authenticate, optionalAuthenticate, requireAdmin, requirePermission, receiveFile } from '../middleware/index.js';
+import Track, { TRACK_SORTS } from '../models/Track.js';
+import Playlist from '../models/Playlist.js';
+import PlayEvent, { PLAY_DEDUPE_WINDOW_MS } from '../models/PlayEvent.js';
+import TrackDailyStat, { startOfDay } from '../models/TrackDailyStat.js';
+import { parseDuration, parseCount, parseDate, formatCount } from '../utils/format.js';
+import { isBot } from '../utils/bots.js';
+import { computeTrending } from '../jobs/trending.js';
+import { getStorage, mediaFolders, StorageError } from '../storage/index.js';
+import { uploadMedia, removeMedia } from '../services/mediaCatalog.js';
+import { extractAudioMetadata, isAudioFile } from '../utils/audioMetadata.js';
+import {
+  runInTransaction,
+  findMissingIds,
+  addTrackToPlaylists,
+  removeTrackFromPlaylists,
+  setTrackPlaylists,
+  deleteTrack
+} from '../services/membership.js';
 
 const router = express.Router();
 
@@ -41,15 +59,38 @@ const trackValidationRules = [
 
   body('duration')
     .optional()
-    .trim(),
+    .trim()
+    .custom(value => !value || parseDuration(value) !== null)
+    .withMessage('Duration must be in seconds or [HH:]MM:SS form'),
 
   body('listeners')
     .optional()
-    .trim(),
+    .trim()
+    .custom(value => !value || parseCount(value) !== null)
+    .withMessage('Listeners must be a number such as 1234 or 1.2K'),
 
   body('date')
     .optional()
-    .trim(),
+    .trim()
+    .custom(value => !value || parseDate(value) !== null)
+    .withMessage('Date must be a valid date'),
+
+  body('durationSeconds')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Duration in seconds must be a non-negative integer')
+    .toInt(),
+
+  body('listenerCount')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Listener count must be a non-negative integer')
+    .toInt(),
+
+  body('releaseDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Release date must be a valid ISO 8601 date'),
 
   body('thumbnail')
     .optional()
@@ -63,11 +104,6 @@ const trackValidationRules = [
     .isLength({ max: 50 })
     .withMessage('Category cannot be more than 50 characters'),
 
-  body('trending')
-    .optional()
-    .isBoolean()
-    .withMessage('Trending must be a boolean value'),
-
   body('audioUrl')
     .optional()
     .trim()
@@ -78,76 +114,101 @@ const trackValidationRules = [
     .optional()
     .isMongoId()
     .withMessage('Invalid playlist ID'),
+
+  body('playlistIds')
+    .optional()
+    .isArray()
+    .withMessage('Playlist IDs must be an array'),
+
+  body('playlistIds.*')
+    .isMongoId()
+    .withMessage('Invalid playlist ID')
 ];
 
 // GET /api/tracks - Get all tracks
-router.get('/', cors({ origin: '*' }), async (req, res) => {
-  try {
-    const { page = 1, limit = 10, category, author, search } = req.query;
-    const skip = (page - 1) * limit;
+router.get('/',
+  cors({ origin: '*' }),
+  query('sort').optional().isIn(Object.keys(TRACK_SORTS)).withMessage(`Sort must be one of: ${Object.keys(TRACK_SORTS).join(', ')}`),
+  query('releasedFrom').optional().isISO8601().withMessage('releasedFrom must be a valid ISO 8601 date'),
+  query('releasedTo').optional().isISO8601().withMessage('releasedTo must be a valid ISO 8601 date'),
+  handleValidationErrors,
+  optionalAuthenticate,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 10, category, author, search, sort = 'newest', releasedFrom, releasedTo } = req.query;
+      const skip = (page - 1) * limit;
 
-    // Build query
-    let query = {};
+      // Build query
+      let query = {};
 
-    if (category) {
-      query.category = category;
-    }
+      if (releasedFrom || releasedTo) {
+        query.releaseDate = {};
+        if (releasedFrom) query.releaseDate.$gte = new Date(releasedFrom);
+        if (releasedTo) query.releaseDate.$lte = new Date(releasedTo);
+      }
 
-    if (author) {
-      query.author = { $regex: author, $options: 'i' };
-    }
+      if (category) {
+        query.category = category;
+      }
 
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { author: { $regex: search, $options: 'i' } },
-        { category: { $regex: search, $options: 'i' } }
-      ];
-    }
+      if (author) {
+        query.author = { $regex: author, $options: 'i' };
+      }
 
-    // Get tracks with pagination
-    const tracks = await Track.find(query)
-      .populate('playlists')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Get total count for pagination
-    const total = await Track.countDocuments(query);
-
-    res.json({
-      success: true,
-      data: {
-        tracks,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(total / limit),
-          totalItems: total,
-          itemsPerPage: parseInt(limit)
-        }
+      if (search) {
+        query.$or = [
+          { title: { $regex: search, $options: 'i' } },
+          { description: { $regex: search, $options: 'i' } },
+          { author: { $regex: search, $options: 'i' } },
+          { category: { $regex: search, $options: 'i' } }
+        ];
       }
-    });
-  } catch (error) {
-    console.error('Error fetching tracks:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching tracks',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+
+      // Get tracks with pagination
+      const tracks = await Track.find(query)
+        .populate({ path: 'playlists', match: Playlist.visibleTo(req.user) })
+        .sort(TRACK_SORTS[sort])
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      // Get total count for pagination
+      const total = await Track.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          tracks,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching tracks:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching tracks',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
   }
-});
+);
 
 // GET /api/tracks/:id - Get a single track by ID
 router.get('/:id',
   param('id').isMongoId().withMessage('Invalid track ID'),
   handleValidationErrors,
   cors({ origin: '*' }),
+  optionalAuthenticate,
   async (req, res) => {
     try {
       const { id } = req.params;
 
-      const track = await Track.findById(id).populate('playlists');
+      // Private playlists the caller may not see are left out of the track's playlists
+      const track = await Track.findById(id).populate({ path: 'playlists', match: Playlist.visibleTo(req.user) });
 
       if (!track) {
         return res.status(404).json({
@@ -171,34 +232,79 @@ router.get('/:id',
   }
 );
 
+// Playlist ids requested in a track body: `playlistIds` (full list) or the older single `playlistId`
+const requestedPlaylistIds = (data) => {
+  if (Array.isArray(data.playlistIds)) {
+    return data.playlistIds;
+  }
+  return data.playlistId ? [data.playlistId] : [];
+};
+
+// Fields a generic create or update never writes: membership only changes through the
+// membership service, and the trending job owns the trending flag and score
+const stripManagedFields = ({ playlists, playlistId, playlistIds, trending, trendingScore, ...data }) => data;
+
+// Reply 404 when any of the given playlists does not exist, 403 when the user does not own one,
+// or 409 when one is a smart playlist
+const rejectUnavailablePlaylists = async (req, res, playlistIds) => {
+  const missing = await findMissingIds(Playlist, playlistIds);
+  if (missing.length > 0) {
+    res.status(404).json({
+      success: false,
+      message: 'Playlist not found',
+      data: { missing }
+    });
+    return true;
+  }
+
+  const playlists = await Playlist.find({ _id: { $in: playlistIds } }).select('owner mode');
+  const forbidden = playlists.filter(playlist => !playlist.isManageableBy(req.user)).map(playlist => playlist._id);
+  if (forbidden.length > 0) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the owner of a playlist can change its tracks',
+      data: { forbidden }
+    });
+    return true;
+  }
+
+  // Tracks of a smart playlist come from its rules
+  const smart = playlists.filter(playlist => playlist.mode === 'smart').map(playlist => playlist._id);
+  if (smart.length > 0) {
+    res.status(409).json({
+      success: false,
+      message: 'Tracks of a smart playlist are defined by its rules',
+      data: { smart }
+    });
+    return true;
+  }
+  return false;
+};
+
 // POST /api/tracks - Create a new track
 router.post('/',
   authenticate,
+  requirePermission('tracks', 'create'),
   trackValidationRules,
   handleValidationErrors,
   async (req, res) => {
     try {
-      const trackData = req.body;
+      const playlistIds = requestedPlaylistIds(req.body);
 
-      const track = new Track(trackData);
-      await track.save();
-
-      // Add track to playlist if playlistId is provided
-      if (trackData.playlistId) {
-        const Playlist = (await import('../models/Playlist.js')).default;
-        try {
-          await Playlist.findByIdAndUpdate(
-            trackData.playlistId,
-            { $addToSet: { tracks: track._id }, $inc: { trackCount: 1 } } // $addToSet prevents duplicates
-          );
-          // Also update track's playlists field
-          track.playlists = [trackData.playlistId];
-          await track.save();
-        } catch (playlistError) {
-          console.error(`Error adding track to playlist ${trackData.playlistId}:`, playlistError);
-        }
+      if (await rejectUnavailablePlaylists(req, res, playlistIds)) {
+        return;
       }
 
+      const track = new Track(stripManagedFields(req.body));
+
+      // The track and its playlist memberships are created together or not at all
+      await runInTransaction(async (session) => {
+        await track.save({ session });
+        await addTrackToPlaylists(track._id, playlistIds, session);
+      });
+
+      await track.populate('playlists');
+
       res.status(201).json({
         success: true,
         message: 'Track created successfully',
@@ -215,9 +321,158 @@ router.post('/',
   }
 );
 
-// PUT /api/tracks/:id - Update a track
+// Largest accepted audio upload; read lazily so dotenv has run
+const maxAudioUploadBytes = () => (parseInt(process.env.AUDIO_UPLOAD_MAX_MB) || 100) * 1024 * 1024;
+
+// Cut extracted tag values down to what the Track schema accepts
+const truncate = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) || undefined : undefined);
+
+// Remove assets stored for an upload that did not produce a track, so they are not left behind
+const discardUploads = async (items) => {
+  for (const { id, kind } of items) {
+    try {
+      await removeMedia(id, { kind, force: true });
+    } catch (error) {
+      console.error('Error removing uploaded media:', error);
+    }
+  }
+};
+
+// POST /api/tracks/upload - Upload an audio file, read its tags and create (or pre-fill) a track.
+// Multipart fields: file, plus optional title/author/category/description overrides,
+// folder (under the audio folder) and create=false to only return the pre-filled track.
+// Stored files are catalogued as Media, so with create=false an audio file that never
+// gets a track shows up in GET /api/media/orphans; if the request fails they are removed.
+router.post('/upload',
+  authenticate,
+  requirePermission('tracks', 'create'),
+  receiveFile({ maxBytes: maxAudioUploadBytes, accept: isAudioFile, label: 'An audio file' }),
+  body('title').optional().trim().isLength({ max: 200 }).withMessage('Title cannot be more than 200 characters'),
+  body('author').optional().trim().isLength({ max: 100 }).withMessage('Author cannot be more than 100 characters'),
+  body('category').optional().trim().isLength({ max: 50 }).withMessage('Category cannot be more than 50 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot be more than 500 characters'),
+  body('folder').optional().trim().matches(/^[\w-]+(\/[\w-]+)*$/).withMessage('Folder may only contain letters, numbers, dashes and slashes'),
+  body('create').optional().isBoolean().withMessage('create must be a boolean').toBoolean(),
+  handleValidationErrors,
+  async (req, res) => {
+    const uploaded = [];
+    try {
+      const { buffer, originalname, mimetype, size } = req.file;
+      const { title, author, category, description, folder, create = true } = req.body;
+
+      let metadata;
+      try {
+        metadata = await extractAudioMetadata(buffer, { mimeType: mimetype, fileName: originalname });
+      } catch (error) {
+        return res.status(422).json({
+          success: false,
+          message: 'Could not read the audio file',
+          error: error.message
+        });
+      }
+
+      const storage = getStorage();
+      const folders = mediaFolders();
+
+      const { item: stored } = await uploadMedia({
+        buffer,
+        fileName: originalname,
+        mimeType: mimetype,
+        folder: folder ? `${folders.audio}/${folder}` : folders.audio,
+        kind: 'audio',
+        user: req.user
+      });
+      uploaded.push({ id: stored.id, kind: 'audio' });
+
+      // Embedded cover art becomes the track thumbnail
+      let artwork = null;
+      if (metadata.picture) {
+        const extension = (metadata.picture.mimeType || 'image/jpeg').split('/').pop();
+        ({ item: artwork } = await uploadMedia({
+          buffer: metadata.picture.data,
+          fileName: `${stored.id.split('/').pop()}-cover.${extension}`,
+          mimeType: metadata.picture.mimeType,
+          folder: folders.image,
+          kind: 'image',
+          user: req.user
+        }));
+        uploaded.push({ id: artwork.id, kind: 'image' });
+      }
+
+      const durationSeconds = metadata.durationSeconds ?? (Number.isFinite(stored.duration) ? Math.round(stored.duration) : undefined);
+
+      const trackData = {
+        title: title || truncate(metadata.title, 200),
+        author: author || truncate(metadata.author, 100),
+        category: category || truncate(metadata.category, 50),
+        description: description || truncate(metadata.description, 500),
+        durationSeconds,
+        releaseDate: metadata.releaseDate || undefined,
+        audioUrl: stored.url,
+        thumbnail: artwork?.url,
+        audioFile: {
+          storageId: stored.id,
+          originalName: originalname,
+          bytes: stored.bytes ?? size,
+          format: stored.format,
+          container: metadata.container,
+          codec: metadata.codec,
+          bitrate: metadata.bitrate,
+          sampleRate: metadata.sampleRate,
+          channels: metadata.channels,
+          album: metadata.album
+        }
+      };
+
+      const track = new Track(trackData);
+      if (create) {
+        await track.save();
+      } else {
+        await track.validate();
+      }
+
+      const { picture, ...tags } = metadata;
+
+      res.status(create ? 201 : 200).json({
+        success: true,
+        message: create ? 'Track created from upload' : 'Audio uploaded; track fields pre-filled',
+        data: {
+          track,
+          created: create,
+          metadata: { ...tags, hasArtwork: Boolean(picture) },
+          storage: { driver: storage.name, audio: stored, artwork }
+        }
+      });
+    } catch (error) {
+      console.error('Error uploading audio:', error);
+      await discardUploads(uploaded);
+      if (error instanceof StorageError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Error uploading audio',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// PUT /api/tracks/:id - Update a track.
+// `playlistIds` replaces the track's playlists; a single `playlistId` adds it to one more playlist.
 router.put('/:id',
   authenticate,
+  requirePermission('tracks', 'update'),
   param('id').isMongoId().withMessage('Invalid track ID'),
   trackValidationRules,
   handleValidationErrors,
@@ -226,58 +481,43 @@ router.put('/:id',
       const { id } = req.params;
       const updateData = req.body;
 
-      // Get the current track to compare playlists
-      const currentTrack = await Track.findById(id);
-      if (!currentTrack) {
+      const track = await Track.findById(id);
+      if (!track) {
         return res.status(404).json({
           success: false,
           message: 'Track not found'
         });
       }
 
-      const track = await Track.findByIdAndUpdate(
-        id,
-        updateData,
-        { new: true, runValidators: true }
-      );
-
-      // Handle playlist change
-      if (updateData.playlistId !== undefined) {
-        const Playlist = (await import('../models/Playlist.js')).default;
-        const oldPlaylists = currentTrack.playlists || [];
-        
-        // Remove track from old playlists
-        for (const playlistId of oldPlaylists) {
-          try {
-            await Playlist.findByIdAndUpdate(
-              playlistId,
-              { $pull: { tracks: id }, $inc: { trackCount: -1 } }
-            );
-          } catch (playlistError) {
-            console.error(`Error removing track from playlist ${playlistId}:`, playlistError);
-          }
-        }
+      const playlistIds = requestedPlaylistIds(updateData);
+      if (await rejectUnavailablePlaylists(req, res, playlistIds)) {
+        return;
+      }
 
-        // Add track to new playlist if provided
-        if (updateData.playlistId) {
-          try {
-            await Playlist.findByIdAndUpdate(
-              updateData.playlistId,
-              { $addToSet: { tracks: id }, $inc: { trackCount: 1 } }
-            );
-            track.playlists = [updateData.playlistId];
-          } catch (playlistError) {
-            console.error(`Error adding track to playlist ${updateData.playlistId}:`, playlistError);
-          }
-        } else {
-          track.playlists = [];
+      // Save through the document so the typed fields and display values stay in sync
+      const previousDuration = track.durationSeconds;
+      track.set(stripManagedFields(updateData));
+
+      await runInTransaction(async (session) => {
+        await track.save({ session });
+
+        if (Array.isArray(updateData.playlistIds)) {
+          await setTrackPlaylists(id, updateData.playlistIds, session);
+        } else if (updateData.playlistId) {
+          await addTrackToPlaylists(id, [updateData.playlistId], session);
         }
+      });
+
+      const updated = await Track.findById(id).populate('playlists');
+
+      if (updated.durationSeconds !== previousDuration) {
+        await Playlist.refreshTotals(updated.playlists.map(playlist => playlist._id));
       }
 
       res.json({
         success: true,
         message: 'Track updated successfully',
-        data: track
+        data: updated
       });
     } catch (error) {
       console.error('Error updating track:', error);
@@ -290,16 +530,123 @@ router.put('/:id',
   }
 );
 
-// DELETE /api/tracks/:id - Delete a track
+// POST /api/tracks/:id/playlists - Add a track to one or more playlists
+router.post('/:id/playlists',
+  authenticate,
+  requirePermission('playlists', 'update'),
+  param('id').isMongoId().withMessage('Invalid track ID'),
+  body('playlistIds')
+    .isArray({ min: 1 })
+    .withMessage('Playlist IDs must be a non-empty array'),
+  body('playlistIds.*')
+    .isMongoId()
+    .withMessage('Invalid playlist ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { playlistIds } = req.body;
+
+      const track = await Track.exists({ _id: id });
+      if (!track) {
+        return res.status(404).json({
+          success: false,
+          message: 'Track not found'
+        });
+      }
+
+      if (await rejectUnavailablePlaylists(req, res, playlistIds)) {
+        return;
+      }
+
+      await addTrackToPlaylists(id, playlistIds);
+
+      res.json({
+        success: true,
+        message: 'Track added to playlists successfully',
+        data: await Track.findById(id).populate('playlists')
+      });
+    } catch (error) {
+      console.error('Error adding track to playlists:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error adding track to playlists',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/tracks/:id/playlists/:playlistId - Remove a track from one playlist
+router.delete('/:id/playlists/:playlistId',
+  authenticate,
+  requirePermission('playlists', 'update'),
+  param('id').isMongoId().withMessage('Invalid track ID'),
+  param('playlistId').isMongoId().withMessage('Invalid playlist ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id, playlistId } = req.params;
+
+      const track = await Track.exists({ _id: id });
+      if (!track) {
+        return res.status(404).json({
+          success: false,
+          message: 'Track not found'
+        });
+      }
+
+      if (await rejectUnavailablePlaylists(req, res, [playlistId])) {
+        return;
+      }
+
+      await removeTrackFromPlaylists(id, [playlistId]);
+
+      res.json({
+        success: true,
+        message: 'Track removed from playlist successfully',
+        data: await Track.findById(id).populate('playlists')
+      });
+    } catch (error) {
+      console.error('Error removing track from playlist:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error removing track from playlist',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/tracks/:id - Delete a track. Listening history is kept for reporting;
+// admins can pass purgeStats=true to delete its daily stats and play events as well.
 router.delete('/:id',
   authenticate,
+  requirePermission('tracks', 'delete'),
   param('id').isMongoId().withMessage('Invalid track ID'),
+  query('purgeStats').optional().isBoolean().withMessage('purgeStats must be true or false').toBoolean(),
   handleValidationErrors,
   async (req, res) => {
     try {
       const { id } = req.params;
+      const purgeStats = req.query.purgeStats === true;
 
-      const track = await Track.findByIdAndDelete(id);
+      if (purgeStats && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only admins can purge listening stats'
+        });
+      }
+
+      // Playlists (and, when asked, listening stats) are cleaned up in the same transaction as the delete
+      const track = await runInTransaction(async (session) => {
+        const deleted = await deleteTrack(id, session);
+        if (deleted && purgeStats) {
+          await TrackDailyStat.deleteMany({ track: deleted._id }, { session });
+          await PlayEvent.deleteMany({ track: deleted._id }, { session });
+        }
+        return deleted;
+      });
 
       if (!track) {
         return res.status(404).json({
@@ -311,7 +658,7 @@ router.delete('/:id',
       res.json({
         success: true,
         message: 'Track deleted successfully',
-        data: { id: track._id, title: track.title }
+        data: { id: track._id, title: track.title, statsPurged: purgeStats }
       });
     } catch (error) {
       console.error('Error deleting track:', error);
@@ -324,4 +671,197 @@ router.delete('/:id',
   }
 );
 
+// POST /api/tracks/trending/recompute - Recompute trending tracks now instead of waiting for the schedule
+router.post('/trending/recompute',
+  authenticate,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const trending = await computeTrending();
+
+      res.json({
+        success: true,
+        message: 'Trending tracks recomputed',
+        data: trending
+      });
+    } catch (error) {
+      console.error('Error recomputing trending tracks:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error recomputing trending tracks',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/tracks/:id/plays - Record a play start or completion from a listener
+router.post('/:id/plays',
+  cors({ origin: '*' }),
+  param('id').isMongoId().withMessage('Invalid track ID'),
+  body('event')
+    .optional()
+    .isIn(['start', 'complete'])
+    .withMessage('Event must be start or complete'),
+  // Accepted for older players but ignored: a value the client picks cannot separate listeners
+  body('sessionId')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Session ID cannot be more than 100 characters'),
+  body('position')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Position must be a non-negative number of seconds'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { event = 'start', position } = req.body;
+      const userAgent = req.get('User-Agent');
+
+      // Bots get a success response so they have no reason to retry, but are never counted
+      if (isBot(userAgent)) {
+        return res.status(202).json({
+          success: true,
+          data: { counted: false, reason: 'bot' }
+        });
+      }
+
+      const track = await Track.exists({ _id: id });
+      if (!track) {
+        return res.status(404).json({
+          success: false,
+          message: 'Track not found'
+        });
+      }
+
+      // Only what the client cannot freely change identifies a listener; a random value per
+      // request would otherwise defeat the dedupe. req.ip is the client address only with
+      // 'trust proxy' set up for the deployment (see server.js).
+      const fingerprint = crypto
+        .createHash('sha256')
+        .update(`${req.ip}|${userAgent}`)
+        .digest('hex');
+      const window = Math.floor(Date.now() / PLAY_DEDUPE_WINDOW_MS);
+
+      try {
+        await PlayEvent.create({
+          track: id,
+          event,
+          fingerprint,
+          dedupeKey: `${id}:${fingerprint}:${event}:${window}`,
+          position
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          return res.status(202).json({
+            success: true,
+            data: { counted: false, reason: 'duplicate' }
+          });
+        }
+        throw error;
+      }
+
+      await TrackDailyStat.increment(id, event);
+
+      if (event === 'start') {
+        const updated = await Track.findByIdAndUpdate(
+          id,
+          { $inc: { listenerCount: 1 } },
+          { new: true, projection: 'listenerCount' }
+        );
+        await Track.updateOne({ _id: id }, { $set: { listeners: formatCount(updated.listenerCount) } });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: { counted: true }
+      });
+    } catch (error) {
+      console.error('Error recording play:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error recording play',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/tracks/:id/stats - Daily listening stats for a track
+router.get('/:id/stats',
+  authenticate,
+  requireAdmin,
+  param('id').isMongoId().withMessage('Invalid track ID'),
+  query('from').optional().isISO8601().withMessage('from must be a valid ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid ISO 8601 date'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const to = startOfDay(req.query.to ? new Date(req.query.to) : new Date());
+      const from = startOfDay(req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000));
+
+      if (from > to || to - from > 366 * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Date range must be in order and no longer than a year'
+        });
+      }
+
+      const track = await Track.findById(id).select('title listenerCount trending trendingScore');
+
+      if (!track) {
+        return res.status(404).json({
+          success: false,
+          message: 'Track not found'
+        });
+      }
+
+      const stats = await TrackDailyStat.find({ track: id, day: { $gte: from, $lte: to } })
+        .select('day starts completions')
+        .sort({ day: 1 })
+        .lean();
+
+      // One entry per day, including days without plays
+      const byDay = new Map(stats.map(stat => [stat.day.toISOString(), stat]));
+      const days = [];
+      for (let day = new Date(from); day <= to; day = new Date(day.getTime() + 24 * 60 * 60 * 1000)) {
+        const stat = byDay.get(day.toISOString());
+        days.push({
+          day: day.toISOString().slice(0, 10),
+          starts: stat?.starts || 0,
+          completions: stat?.completions || 0
+        });
+      }
+
+      const starts = days.reduce((sum, day) => sum + day.starts, 0);
+      const completions = days.reduce((sum, day) => sum + day.completions, 0);
+
+      res.json({
+        success: true,
+        data: {
+          track,
+          from: from.toISOString().slice(0, 10),
+          to: to.toISOString().slice(0, 10),
+          totals: {
+            starts,
+            completions,
+            completionRate: starts > 0 ? Math.round((completions / starts) * 1000) / 1000 : 0
+          },
+          days
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching track stats:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching track stats',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
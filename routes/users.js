@@ -0,0 +1,435 @@
+import express from 'express';
+import crypto from 'crypto';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticate, requirePermission } from '../middleware/index.js';
+import { ROLES } from '../config/permissions.js';
+import User from '../models/User.js';
+import Page from '../models/Page.js';
+import Playlist from '../models/Playlist.js';
+import Session from '../models/Session.js';
+import { listUserSessions, revokeSession, revokeUserSessions, sessionSummary } from '../services/sessions.js';
+import { accountThrottleKey, loginThrottleStatus, unlockLogin } from '../services/loginThrottle.js';
+import { escapeRegExp } from '../utils/search.js';
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const userIdValidation = param('id').isMongoId().withMessage('Invalid user ID');
+
+// Load the user named by :id into req.targetUser, or reply 404
+const loadUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    console.error('Error loading user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Write a change that takes the user out of the active admins, backing it out and replying
+// 409 when no active admin would remain. The change is written before counting so two
+// admins removed at the same time each see the other gone and neither goes through.
+// Returns true when it replied.
+const rejectLastAdmin = async (res, user, action, change) => {
+  if (user.role !== 'admin' || !user.isActive) {
+    return false;
+  }
+
+  const { matchedCount } = await User.updateOne({ _id: user._id, role: 'admin', isActive: true }, { $set: change });
+  if (matchedCount === 0 || await User.countDocuments({ role: 'admin', isActive: true }) > 0) {
+    return false;
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { role: 'admin', isActive: true } });
+  res.status(409).json({
+    success: false,
+    message: `Cannot ${action} the last active admin`
+  });
+  return true;
+};
+
+// Every user management route requires an authenticated user; the users permission
+// is only granted to admins
+router.use(authenticate);
+
+// GET /api/users - List users with search and filters
+router.get('/',
+  requirePermission('users', 'read'),
+  query('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  query('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, search, role, isActive } = req.query;
+      const skip = (page - 1) * limit;
+
+      const filter = {};
+
+      if (search) {
+        const pattern = new RegExp(escapeRegExp(search), 'i');
+        filter.$or = [{ username: pattern }, { email: pattern }];
+      }
+
+      if (role) {
+        filter.role = role;
+      }
+
+      if (isActive !== undefined) {
+        filter.isActive = isActive === 'true';
+      }
+
+      const users = await User.find(filter)
+        .select('-password')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await User.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: {
+          users,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching users',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/users/:id - Get a single user, with their failed login count and lockout
+router.get('/:id',
+  requirePermission('users', 'read'),
+  userIdValidation,
+  handleValidationErrors,
+  loadUser,
+  async (req, res) => {
+    try {
+      const login = await loginThrottleStatus('account', accountThrottleKey(req.targetUser));
+
+      res.json({
+        success: true,
+        data: {
+          ...req.targetUser.toJSON(),
+          login
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching user:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching user',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// PATCH /api/users/:id/role - Change a user's role
+router.patch('/:id/role',
+  requirePermission('users', 'update'),
+  userIdValidation,
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  handleValidationErrors,
+  loadUser,
+  async (req, res) => {
+    try {
+      const user = req.targetUser;
+      const { role } = req.body;
+
+      if (role !== 'admin' && await rejectLastAdmin(res, user, 'demote', { role })) {
+        return;
+      }
+
+      user.role = role;
+      await user.save();
+
+      res.json({
+        success: true,
+        message: `Role changed to ${role}`,
+        data: user
+      });
+    } catch (error) {
+      console.error('Error changing user role:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error changing user role',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// PATCH /api/users/:id/active - Activate or deactivate an account
+router.patch('/:id/active',
+  requirePermission('users', 'update'),
+  userIdValidation,
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean(),
+  handleValidationErrors,
+  loadUser,
+  async (req, res) => {
+    try {
+      const user = req.targetUser;
+      const { isActive } = req.body;
+
+      if (!isActive && await rejectLastAdmin(res, user, 'deactivate', { isActive: false })) {
+        return;
+      }
+
+      user.isActive = isActive;
+      await user.save();
+
+      // A deactivated account is signed out everywhere at once
+      if (!isActive) {
+        await revokeUserSessions(user._id, 'deactivated');
+      }
+
+      res.json({
+        success: true,
+        message: isActive ? 'User activated' : 'User deactivated',
+        data: user
+      });
+    } catch (error) {
+      console.error('Error changing user activation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error changing user activation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/users/:id/reset-password - Force a password reset. Sets the given password, or a
+// generated one that is returned once; the user's tokens stop working and they must choose
+// a new password at their next login.
+router.post('/:id/reset-password',
+  requirePermission('users', 'update'),
+  userIdValidation,
+  body('password')
+    .optional()
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  handleValidationErrors,
+  loadUser,
+  async (req, res) => {
+    try {
+      const user = req.targetUser;
+      const temporaryPassword = req.body.password ? undefined : crypto.randomBytes(9).toString('base64url');
+
+      user.password = req.body.password || temporaryPassword;
+      user.mustChangePassword = true;
+      await user.save();
+      await revokeUserSessions(user._id, 'admin');
+
+      res.json({
+        success: true,
+        message: 'Password reset; the user must choose a new one at next login',
+        data: {
+          user,
+          temporaryPassword
+        }
+      });
+    } catch (error) {
+      console.error('Error resetting user password:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error resetting user password',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/users/:id/unlock - Lift a login lockout and clear the user's failed login attempts
+router.post('/:id/unlock',
+  requirePermission('users', 'update'),
+  userIdValidation,
+  handleValidationErrors,
+  loadUser,
+  async (req, res) => {
+    try {
+      const result = await unlockLogin('account', accountThrottleKey(req.targetUser), req.user);
+
+      res.json({
+        success: true,
+        message: result.wasLocked ? 'Account unlocked' : 'Account was not locked; failed attempts cleared',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error unlocking user:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error unlocking user',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/users/:id - Delete an account. Its pages and playlists are kept without an
+// owner, so only roles that may change any page or playlist can still edit them.
+router.delete('/:id',
+  requirePermission('users', 'delete'),
+  userIdValidation,
+  handleValidationErrors,
+  loadUser,
+  async (req, res) => {
+    try {
+      const user = req.targetUser;
+
+      // Deactivated first so the last-admin check and the delete cannot interleave with another removal
+      if (await rejectLastAdmin(res, user, 'delete', { isActive: false })) {
+        return;
+      }
+
+      await Page.updateMany({ owner: user._id }, { $set: { owner: null } });
+      await Playlist.updateMany({ owner: user._id }, { $set: { owner: null } });
+      await Session.deleteMany({ user: user._id });
+      await user.deleteOne();
+
+      res.json({
+        success: true,
+        message: 'User deleted successfully',
+        data: { id: user._id, username: user.username }
+      });
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting user',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/users/:id/sessions - A user's active sessions with device and IP details
+router.get('/:id/sessions',
+  requirePermission('users', 'read'),
+  userIdValidation,
+  handleValidationErrors,
+  loadUser,
+  async (req, res) => {
+    try {
+      const sessions = await listUserSessions(req.targetUser._id);
+
+      res.json({
+        success: true,
+        data: sessions.map(session => sessionSummary(session, req.authSession))
+      });
+    } catch (error) {
+      console.error('Error fetching user sessions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching user sessions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/users/:id/sessions/:sessionId - End one of a user's sessions, e.g. a compromised one
+router.delete('/:id/sessions/:sessionId',
+  requirePermission('users', 'update'),
+  userIdValidation,
+  param('sessionId').isMongoId().withMessage('Invalid session ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await revokeSession(req.params.sessionId, 'admin', { user: req.params.id });
+
+      if (result.matchedCount === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Session revoked successfully'
+      });
+    } catch (error) {
+      console.error('Error revoking user session:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error revoking user session',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/users/:id/sessions - Sign a user out of every device
+router.delete('/:id/sessions',
+  requirePermission('users', 'update'),
+  userIdValidation,
+  handleValidationErrors,
+  loadUser,
+  async (req, res) => {
+    try {
+      const result = await revokeUserSessions(req.targetUser._id, 'admin');
+
+      res.json({
+        success: true,
+        message: 'All sessions revoked',
+        data: { revoked: result.modifiedCount }
+      });
+    } catch (error) {
+      console.error('Error revoking user sessions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error revoking user sessions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
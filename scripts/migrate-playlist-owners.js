@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Playlist from '../models/Playlist.js';
+import User from '../models/User.js';
+
+// Link playlists created before ownership existed to a user, matching the free-text
+// createdBy against usernames and emails. Playlists that match nobody are listed and
+// stay manageable by admins only until an owner is assigned.
+// Safe to re-run: playlists that already have an owner are left alone.
+
+dotenv.config();
+
+const run = async () => {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/da-orbit';
+  await mongoose.connect(mongoUri);
+
+  const users = await User.find().select('username email').lean();
+  const usersByName = new Map();
+  for (const user of users) {
+    usersByName.set(user.username.toLowerCase(), user);
+    usersByName.set(user.email.toLowerCase(), user);
+  }
+
+  const playlists = await Playlist.find({ owner: null }).select('title createdBy').lean();
+
+  const unmatched = [];
+  let updated = 0;
+
+  for (const playlist of playlists) {
+    const user = usersByName.get((playlist.createdBy || '').trim().toLowerCase());
+
+    if (user) {
+      await Playlist.updateOne({ _id: playlist._id }, { $set: { owner: user._id } });
+      updated++;
+    } else {
+      unmatched.push({ id: playlist._id, title: playlist.title, createdBy: playlist.createdBy });
+    }
+  }
+
+  console.log(`Playlists without an owner: ${playlists.length}, linked: ${updated}`);
+  if (unmatched.length > 0) {
+    console.log('Playlists whose createdBy matches no user (owner must be set by hand):');
+    console.table(unmatched);
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Error migrating playlist owners:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Page from '../models/Page.js';
+import PageRevision from '../models/PageRevision.js';
+import User from '../models/User.js';
+
+// Move existing data onto the role-based permission model:
+// - users with the retired "user" role become editors, which keeps the write access
+//   every authenticated user had before;
+// - pages without an owner are linked to the user who created them, taken from the
+//   page's first revision. Pages with no recorded creator stay editable by editors
+//   and admins only until an owner is assigned.
+// Safe to re-run: users with a current role and pages with an owner are left alone.
+
+dotenv.config();
+
+const run = async () => {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/da-orbit';
+  await mongoose.connect(mongoUri);
+
+  // Bypass the model's role enum, which no longer accepts the old value
+  const roles = await User.collection.updateMany({ role: 'user' }, { $set: { role: 'editor' } });
+  console.log(`Users moved from the "user" role to "editor": ${roles.modifiedCount}`);
+
+  const pages = await Page.find({ owner: null }).select('title').lean();
+
+  const unmatched = [];
+  let updated = 0;
+
+  for (const page of pages) {
+    const first = await PageRevision.findOne({ page: page._id, changedBy: { $ne: null } })
+      .sort({ version: 1 })
+      .select('changedBy')
+      .lean();
+
+    if (first) {
+      await Page.updateOne({ _id: page._id }, { $set: { owner: first.changedBy } });
+      updated++;
+    } else {
+      unmatched.push({ id: page._id, title: page.title });
+    }
+  }
+
+  console.log(`Pages without an owner: ${pages.length}, linked: ${updated}`);
+  if (unmatched.length > 0) {
+    console.log('Pages with no recorded creator (owner must be set by hand):');
+    console.table(unmatched);
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Error migrating roles:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Track from '../models/Track.js';
+import Playlist from '../models/Playlist.js';
+import { parseDuration, parseCount, parseDate } from '../utils/format.js';
+
+// Fill the typed durationSeconds, listenerCount and releaseDate fields from the
+// free-form strings tracks were saved with, then recompute playlist running times.
+// Safe to re-run: tracks that already have typed values are left alone.
+
+dotenv.config();
+
+const run = async () => {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/da-orbit';
+  await mongoose.connect(mongoUri);
+
+  const tracks = await Track.find({
+    $or: [
+      { durationSeconds: null },
+      { listenerCount: null },
+      { releaseDate: null, date: { $nin: [null, ''] } }
+    ]
+  }).lean();
+
+  const unparsed = [];
+  let updated = 0;
+
+  for (const track of tracks) {
+    const set = {};
+
+    if (track.durationSeconds === null || track.durationSeconds === undefined) {
+      const seconds = parseDuration(track.duration);
+      if (seconds !== null) set.durationSeconds = seconds;
+      else if (track.duration) unparsed.push({ id: track._id, field: 'duration', value: track.duration });
+    }
+
+    if (track.listenerCount === null || track.listenerCount === undefined) {
+      const count = track.listeners ? parseCount(track.listeners) : 0;
+      if (count !== null) set.listenerCount = count;
+      else unparsed.push({ id: track._id, field: 'listeners', value: track.listeners });
+    }
+
+    if (!track.releaseDate && track.date) {
+      const date = parseDate(track.date);
+      if (date) set.releaseDate = date;
+      else unparsed.push({ id: track._id, field: 'date', value: track.date });
+    }
+
+    if (Object.keys(set).length > 0) {
+      // Bypass the save hooks: the original display strings are kept as they were
+      await Track.updateOne({ _id: track._id }, { $set: set });
+      updated++;
+    }
+  }
+
+  const playlistIds = await Playlist.distinct('_id');
+  await Playlist.refreshTotals(playlistIds);
+
+  console.log(`Tracks examined: ${tracks.length}, updated: ${updated}`);
+  console.log(`Playlists recalculated: ${playlistIds.length}`);
+  if (unparsed.length > 0) {
+    console.log('Values that could not be parsed and need fixing by hand:');
+    console.table(unparsed);
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Error migrating track fields:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { reconcileMemberships } from '../jobs/memberships.js';
+
+// Repair one-sided playlist memberships (see jobs/memberships.js for which side wins).
+// Run with --dry-run to only report what would change.
+
+dotenv.config();
+
+const run = async () => {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/da-orbit';
+  await mongoose.connect(mongoUri);
+
+  const fix = !process.argv.includes('--dry-run');
+  const { missingOnTracks, missingOnPlaylists, resolvedFrom } = await reconcileMemberships({ fix });
+
+  console.log(`Links missing on tracks: ${missingOnTracks.length}`);
+  console.log(`Links missing on playlists: ${missingOnPlaylists.length}${resolvedFrom === 'playlists' ? ' (removed from tracks: no transactions, playlists win)' : ''}`);
+  console.log(fix ? 'Memberships repaired' : 'Dry run: nothing was changed');
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Error repairing memberships:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { reconcileMediaCatalog } from '../jobs/mediaCatalog.js';
+
+// Mirror every asset in the configured storage into the Media catalog.
+// Run once after deploying the catalog, or after changing STORAGE_DRIVER.
+
+dotenv.config();
+
+const run = async () => {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/da-orbit';
+  await mongoose.connect(mongoUri);
+
+  const { driver, scanned, added, updated, missing, inUse, orphaned } = await reconcileMediaCatalog();
+
+  console.log(`Storage driver: ${driver}`);
+  console.log(`Assets scanned: ${scanned}`);
+  console.log(`Catalog entries added: ${added}, updated: ${updated}, marked missing: ${missing}`);
+  console.log(`Assets in use: ${inUse}, orphaned: ${orphaned}`);
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Error synchronising media catalog:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Page from '../models/Page.js';
+import Track from '../models/Track.js';
+import Playlist from '../models/Playlist.js';
+
+// MongoDB allows one text index per collection, so the old meta-only text index on pages
+// has to be dropped before the weighted search index can be built. syncIndexes() drops
+// indexes that are no longer declared in the schema and creates the missing ones.
+
+dotenv.config();
+
+const run = async () => {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/da-orbit';
+  await mongoose.connect(mongoUri);
+
+  for (const Model of [Page, Track, Playlist]) {
+    const dropped = await Model.syncIndexes();
+    console.log(`${Model.modelName}: indexes synced${dropped.length ? `, dropped ${dropped.join(', ')}` : ''}`);
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Error syncing search indexes:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
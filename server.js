@@ -16,6 +16,20 @@ import pagesRoutes from './routes/pages.js';
 import tracksRoutes from './routes/tracks.js';
 import playlistsRoutes from './routes/playlists.js';
 import contactRoutes from './routes/contact.js';
+import redirectsRoutes from './routes/redirects.js';
+import groupsRoutes from './routes/groups.js';
+import searchRoutes from './routes/search.js';
+import feedsRoutes from './routes/feeds.js';
+import adminRoutes from './routes/admin.js';
+import mediaRoutes from './routes/media.js';
+import usersRoutes from './routes/users.js';
+import invitesRoutes from './routes/invites.js';
+
+// Import media storage
+import { serveLocalMedia } from './storage/index.js';
+
+// Import background jobs
+import { startJobs } from './jobs/index.js';
 
 // Import Swagger specs
 import { specs } from './swagger.js';
@@ -29,6 +43,11 @@ connectDB();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a proxy (Vercel sets VERCEL) req.ip must come from X-Forwarded-For, or rate limits,
+// login lockouts and session IPs would all see the proxy's address
+const trustProxy = process.env.TRUST_PROXY ?? (process.env.VERCEL ? '1' : '0');
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -70,7 +89,16 @@ app.use('/api/tracks', tracksRoutes);
 app.use('/api/playlists', playlistsRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/contacts', contactRoutes); // Admin endpoint for managing contacts
+app.use('/api/redirects', redirectsRoutes);
+app.use('/api/groups', groupsRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/users', usersRoutes);
+app.use('/api/invites', invitesRoutes);
 app.use('/api', apiRoutes);
+app.use('/', feedsRoutes); // sitemap.xml and RSS/Atom feeds
+serveLocalMedia(app); // Media files when STORAGE_DRIVER=local
 
 // Swagger documentation
 app.get('/api-docs', (req, res) => {
@@ -164,4 +192,5 @@ app.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`);
   console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🌐 API URL: http://localhost:${PORT}`);
+  startJobs();
 });
\ No newline at end of file
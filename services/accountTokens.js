@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import AccountToken from '../models/AccountToken.js';
+import User from '../models/User.js';
+import { sendMail, siteName, cmsLink } from '../mailer/index.js';
+import { escapeXml } from '../utils/xml.js';
+
+// Password reset and email verification links. Tokens are random, stored hashed, expire,
+// and are marked used in the same update that accepts them, so each works once.
+
+// Lifetimes read lazily so dotenv has run
+const TOKEN_TTL_MS = {
+  'password-reset': () => (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000,
+  'email-verification': () => (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60 * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Create a token for the user, replacing any unused one for the same purpose so only the
+// latest link works. Returns the plain token, which is never stored.
+export const createAccountToken = async (user, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose]())
+  });
+
+  return token;
+};
+
+// Accept a token and load its user, or return null when the token is unknown, expired,
+// already used or its user can no longer use it
+export const consumeAccountToken = async (token, purpose) => {
+  const now = new Date();
+  const accountToken = await AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+
+  if (!accountToken) {
+    return null;
+  }
+
+  const user = await User.findById(accountToken.user);
+  if (!user || !user.isActive || user.email !== accountToken.email) {
+    return null;
+  }
+
+  // Other outstanding links for the same purpose are spent as well
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+  return user;
+};
+
+// Email a password reset link
+export const sendPasswordResetEmail = async (user) => {
+  const token = await createAccountToken(user, 'password-reset');
+  const link = cmsLink(`/reset-password?token=${token}`);
+  const minutes = Math.round(TOKEN_TTL_MS['password-reset']() / 60000);
+
+  return sendMail({
+    to: user.email,
+    subject: `Reset your ${siteName()} password`,
+    text: `Hi ${user.username},\n\nSomeone asked to reset the password of your ${siteName()} account. ` +
+      `Open this link within ${minutes} minutes to choose a new one:\n\n${link}\n\n` +
+      'If it was not you, ignore this email; your password stays the same.\n',
+    html: `<p>Hi ${escapeXml(user.username)},</p>` +
+      `<p>Someone asked to reset the password of your ${escapeXml(siteName())} account. ` +
+      `Open this link within ${minutes} minutes to choose a new one:</p>` +
+      `<p><a href="${link}">Reset password</a></p>` +
+      '<p>If it was not you, ignore this email; your password stays the same.</p>'
+  });
+};
+
+// Email a link that confirms the user's address
+export const sendVerificationEmail = async (user) => {
+  const token = await createAccountToken(user, 'email-verification');
+  const link = cmsLink(`/verify-email?token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: `Confirm your email for ${siteName()}`,
+    text: `Hi ${user.username},\n\nPlease confirm the email address of your ${siteName()} account:\n\n${link}\n`,
+    html: `<p>Hi ${escapeXml(user.username)},</p>` +
+      `<p>Please confirm the email address of your ${escapeXml(siteName())} account:</p>` +
+      `<p><a href="${link}">Confirm email</a></p>`
+  });
+};
@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import Invite from '../models/Invite.js';
+import User from '../models/User.js';
+import { sendMail, siteName, cmsLink } from '../mailer/index.js';
+import { escapeXml } from '../utils/xml.js';
+
+// Invitation-based onboarding: an admin invites an address with a role, the invitee
+// accepts with the emailed token and chooses their own username and password.
+
+// Raised when an invitation cannot be created, resent or accepted; `status` is the HTTP status
+export class InviteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InviteError';
+    this.status = status;
+  }
+}
+
+// Lifetime read lazily so dotenv has run
+const inviteTtlMs = () => (parseInt(process.env.INVITE_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Give the invite a fresh token and expiry and email it; earlier links stop working
+const sendInvite = async (invite, inviter) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+
+  invite.tokenHash = hashToken(token);
+  invite.expiresAt = new Date(now.getTime() + inviteTtlMs());
+  invite.sentAt = now;
+  invite.sendCount += 1;
+  await invite.save();
+
+  const link = cmsLink(`/accept-invite?token=${token}`);
+  const from = inviter ? `${inviter.username} has` : 'You have been';
+  const days = Math.round(inviteTtlMs() / (24 * 60 * 60 * 1000));
+
+  try {
+    await sendMail({
+      to: invite.email,
+      subject: `You're invited to ${siteName()}`,
+      text: `${from} invited you to join ${siteName()} as ${invite.role}.\n\n` +
+        `Open this link within ${days} days to choose your username and password:\n\n${link}\n`,
+      html: `<p>${escapeXml(from)} invited you to join ${escapeXml(siteName())} as ${escapeXml(invite.role)}.</p>` +
+        `<p>Open this link within ${days} days to choose your username and password:</p>` +
+        `<p><a href="${link}">Accept invitation</a></p>`
+    });
+  } catch (error) {
+    console.error('Error sending invite email:', error);
+    throw new InviteError('Invite saved, but the email could not be sent; try resending it', 502);
+  }
+
+  return invite;
+};
+
+// Invite an address that has neither an account nor a pending invite
+export const createInvite = async ({ email, role, invitedBy }) => {
+  if (await User.exists({ email })) {
+    throw new InviteError('An account already uses this email', 409);
+  }
+
+  if (await Invite.exists({ email, ...Invite.pendingFilter() })) {
+    throw new InviteError('This email already has a pending invite; resend it instead', 409);
+  }
+
+  // The token is set by sendInvite; a placeholder satisfies validation until then
+  const invite = new Invite({
+    email,
+    role,
+    invitedBy: invitedBy._id,
+    tokenHash: hashToken(crypto.randomBytes(32)),
+    expiresAt: new Date()
+  });
+
+  return sendInvite(invite, invitedBy);
+};
+
+// Send a pending or expired invite again with a new token and expiry
+export const resendInvite = async (invite, sender) => {
+  if (invite.acceptedAt || invite.revokedAt) {
+    throw new InviteError(`Invite was already ${invite.status}`, 409);
+  }
+
+  if (await User.exists({ email: invite.email })) {
+    throw new InviteError('An account already uses this email', 409);
+  }
+
+  return sendInvite(invite, sender);
+};
+
+// Revoke a pending invite; its link stops working
+export const revokeInvite = (inviteId, revokedBy) => {
+  return Invite.findOneAndUpdate(
+    { _id: inviteId, acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy: revokedBy._id } },
+    { new: true }
+  );
+};
+
+// The pending invite a token belongs to, or null
+export const findPendingInvite = (token) => {
+  return Invite.findOne({ tokenHash: hashToken(token), ...Invite.pendingFilter() });
+};
+
+// Create the invitee's account. The invite is claimed first, so it is used at most once,
+// and released again if the account cannot be created.
+export const acceptInvite = async (token, { username, password }) => {
+  const now = new Date();
+  const invite = await Invite.findOneAndUpdate(
+    { tokenHash: hashToken(token), ...Invite.pendingFilter(now) },
+    { $set: { acceptedAt: now } },
+    { new: true }
+  );
+
+  if (!invite) {
+    throw new InviteError('This invite link is invalid, expired, revoked or already used');
+  }
+
+  // Only a failure to create the account gives the invite back
+  let user;
+  try {
+    const existingUser = await User.findOne({ $or: [{ email: invite.email }, { username }] });
+    if (existingUser) {
+      throw new InviteError(
+        existingUser.email === invite.email ? 'Email already registered' : 'Username already taken',
+        409
+      );
+    }
+
+    // The invite reached this address, which confirms it
+    user = await User.create({
+      username,
+      email: invite.email,
+      password,
+      role: invite.role,
+      emailVerified: true,
+      emailVerifiedAt: now
+    });
+  } catch (error) {
+    await Invite.updateOne({ _id: invite._id }, { $set: { acceptedAt: null } });
+    throw error;
+  }
+
+  // The account exists and the invite stays used even if this link cannot be recorded
+  invite.acceptedBy = user._id;
+  try {
+    await invite.save();
+  } catch (error) {
+    console.error('Error recording invite acceptance:', error);
+  }
+
+  return { user, invite };
+};
@@ -0,0 +1,223 @@
+import LoginThrottle, { IDENTIFIER_LIMIT } from '../models/LoginThrottle.js';
+import LoginLockout from '../models/LoginLockout.js';
+
+// Brute-force protection for logins. Failures are counted per account and per client IP:
+// past a few failures each further attempt has to wait longer (1s, 2s, 4s … up to a minute),
+// and past the lockout threshold logins are refused for a while. Lockouts are recorded.
+// Every attempt is counted as a failure before the password is checked and given back when
+// it succeeds, so concurrent guesses cannot all slip past the check before one is counted.
+
+const MAX_DELAY_SECONDS = 60;
+
+// Settings read lazily so dotenv has run. An IP is allowed more failures than an account,
+// since many users may share one address.
+const SCOPE_SETTINGS = {
+  account: {
+    delayAfter: 3,
+    lockAfter: () => parseInt(process.env.LOGIN_ACCOUNT_LOCK_THRESHOLD) || 10
+  },
+  ip: {
+    delayAfter: 10,
+    lockAfter: () => parseInt(process.env.LOGIN_IP_LOCK_THRESHOLD) || 50
+  }
+};
+const failureWindowMs = () => (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000;
+const lockoutMs = () => (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+// Seconds to wait after the latest failure before the next attempt
+const delaySeconds = (scope, failures) => {
+  const excess = failures - SCOPE_SETTINGS[scope].delayAfter;
+  return excess < 0 ? 0 : Math.min(2 ** excess, MAX_DELAY_SECONDS);
+};
+
+// Throttle key of the account a login names. Unknown usernames are tracked as typed, so
+// they are throttled exactly like real accounts and answers do not reveal which exist.
+export const accountThrottleKey = (user, identifier) => {
+  return user ? String(user._id) : `name:${String(identifier).trim().toLowerCase()}`;
+};
+
+// When a throttle document next allows a login, or null
+const blockedUntil = (throttle, now) => {
+  if (throttle.lockedUntil && throttle.lockedUntil > now) {
+    return { locked: true, until: throttle.lockedUntil };
+  }
+
+  if (throttle.expiresAt <= now) {
+    return null;
+  }
+
+  const delay = delaySeconds(throttle.scope, throttle.failures);
+  const until = new Date(throttle.lastFailureAt.getTime() + delay * 1000);
+  return until > now ? { locked: false, until } : null;
+};
+
+// Whether a login for the account from the IP may go ahead. Returns null, or the longest
+// block as { scope, locked, until, retryAfter } with retryAfter in seconds.
+const checkLoginThrottle = async ({ ip, accountKey }) => {
+  const now = new Date();
+  const throttles = await LoginThrottle.find({
+    $or: [{ scope: 'account', key: accountKey }, { scope: 'ip', key: ip }]
+  });
+
+  let block = null;
+  for (const throttle of throttles) {
+    const found = blockedUntil(throttle, now);
+    if (found && (!block || found.until > block.until)) {
+      block = { scope: throttle.scope, ...found };
+    }
+  }
+
+  if (block) {
+    block.retryAfter = Math.ceil((block.until - now) / 1000);
+  }
+  return block;
+};
+
+// Count one failure for a scope, starting over when the previous ones fell out of the window.
+// Resolves to the document as it was before, or null when there was none.
+const countFailure = (scope, key, { user, identifier, now }) => {
+  const windowEnd = new Date(now.getTime() + failureWindowMs());
+  const fresh = { $lte: [{ $ifNull: ['$expiresAt', new Date(0)] }, now] };
+  const previous = { $cond: [fresh, [], { $ifNull: ['$identifiers', []] }] };
+
+  const fields = {
+    failures: { $cond: [fresh, 1, { $add: ['$failures', 1] }] },
+    // Most recent last, each identifier once; $literal since user input may start with "$"
+    identifiers: {
+      $slice: [
+        {
+          $concatArrays: [
+            { $filter: { input: previous, cond: { $ne: ['$$this', { $literal: identifier }] } } },
+            [{ $literal: identifier }]
+          ]
+        },
+        -IDENTIFIER_LIMIT
+      ]
+    },
+    lastFailureAt: now,
+    lockedUntil: { $cond: [fresh, null, { $ifNull: ['$lockedUntil', null] }] },
+    expiresAt: windowEnd
+  };
+  if (user) {
+    fields.user = user._id;
+  }
+
+  return LoginThrottle.findOneAndUpdate(
+    { scope, key },
+    [{ $set: fields }],
+    { upsert: true, new: false }
+  );
+};
+
+// Lock a scope that reached its threshold and record the lockout. Conditional on the
+// scope not being locked yet, so concurrent failures record a single lockout.
+const lockIfNeeded = async (throttle, { ip, userAgent, now }) => {
+  if (throttle.failures < SCOPE_SETTINGS[throttle.scope].lockAfter()) {
+    return;
+  }
+
+  const lockedUntil = new Date(now.getTime() + lockoutMs());
+  const locked = await LoginThrottle.findOneAndUpdate(
+    { _id: throttle._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { $set: { lockedUntil, expiresAt: new Date(Math.max(throttle.expiresAt.getTime(), lockedUntil.getTime())) } },
+    { new: true }
+  );
+
+  if (!locked) {
+    return;
+  }
+
+  await LoginLockout.create({
+    scope: locked.scope,
+    key: locked.key,
+    user: locked.user,
+    ip,
+    userAgent: (userAgent || '').slice(0, 500),
+    failures: locked.failures,
+    identifiers: locked.identifiers,
+    lockedUntil
+  });
+  console.warn(`Login lockout: ${locked.scope} ${locked.key} locked until ${lockedUntil.toISOString()} after ${locked.failures} failed attempts`);
+};
+
+// Reserve a login attempt for the account from the IP before the password is checked.
+// Returns null when it may go ahead, or the block as checkLoginThrottle does. The attempt
+// is counted up front; a request that finds an earlier attempt already counted within its
+// delay is refused, so at most one guess runs per delay however many arrive at once.
+export const reserveLoginAttempt = async ({ ip, accountKey, user, identifier }) => {
+  const block = await checkLoginThrottle({ ip, accountKey });
+  if (block) {
+    return block;
+  }
+
+  const now = new Date();
+  const previous = await Promise.all([
+    countFailure('account', accountKey, { user, identifier, now }),
+    countFailure('ip', ip, { identifier, now })
+  ]);
+
+  let reserved = null;
+  for (const throttle of previous) {
+    const found = throttle && blockedUntil(throttle, now);
+    if (found && (!reserved || found.until > reserved.until)) {
+      reserved = { scope: throttle.scope, ...found };
+    }
+  }
+
+  if (reserved) {
+    reserved.retryAfter = Math.max(1, Math.ceil((reserved.until - now) / 1000));
+  }
+  return reserved;
+};
+
+// The reserved attempt failed: lock the account or IP once it reached its threshold
+export const recordLoginFailure = async ({ ip, accountKey, userAgent }) => {
+  const now = new Date();
+  const throttles = await LoginThrottle.find({
+    $or: [{ scope: 'account', key: accountKey }, { scope: 'ip', key: ip }]
+  });
+
+  for (const throttle of throttles) {
+    await lockIfNeeded(throttle, { ip, userAgent, now });
+  }
+};
+
+// The reserved attempt succeeded: forget the account's failures and give the IP its attempt back
+export const releaseLoginAttempt = async ({ ip, accountKey }) => {
+  await Promise.all([
+    LoginThrottle.deleteOne({ scope: 'account', key: accountKey }),
+    LoginThrottle.updateOne({ scope: 'ip', key: ip, failures: { $gt: 0 } }, { $inc: { failures: -1 } })
+  ]);
+};
+
+// Lift a lockout before it runs out and clear the failure count behind it; `unlockedBy`
+// is the admin doing so, if any
+export const unlockLogin = async (scope, key, unlockedBy = null) => {
+  const [throttle, lockouts] = await Promise.all([
+    LoginThrottle.findOneAndDelete({ scope, key }),
+    LoginLockout.updateMany(
+      { scope, key, ...LoginLockout.activeFilter() },
+      { $set: { unlockedAt: new Date(), unlockedBy: unlockedBy?._id } }
+    )
+  ]);
+
+  return {
+    wasLocked: lockouts.modifiedCount > 0,
+    failuresCleared: throttle?.failures || 0
+  };
+};
+
+// Current lock state of a scope, for admin views
+export const loginThrottleStatus = async (scope, key) => {
+  const throttle = await LoginThrottle.findOne({ scope, key });
+  const now = new Date();
+
+  if (!throttle || throttle.expiresAt <= now) {
+    return { failures: 0, lockedUntil: null };
+  }
+
+  return {
+    failures: throttle.failures,
+    lockedUntil: throttle.lockedUntil && throttle.lockedUntil > now ? throttle.lockedUntil : null
+  };
+};
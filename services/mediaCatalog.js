@@ -0,0 +1,110 @@
+import Media, { MEDIA_REFERENCES } from '../models/Media.js';
+import Page from '../models/Page.js';
+import Track from '../models/Track.js';
+import { getStorage, StorageError } from '../storage/index.js';
+import { escapeRegExp } from '../utils/search.js';
+
+// Storage operations that keep the Media catalog in step with the storage driver.
+// The catalog write happens after the storage call succeeded; if it fails the error
+// is logged and the periodic reconciliation (jobs/mediaCatalog.js) repairs the entry.
+
+const REFERENCING_MODELS = { Page, Track };
+
+// Fields shown for each referencing document in a "where used" listing
+const SUMMARY_FIELDS = { Page: ['title', 'slug', 'status'], Track: ['title', 'author'] };
+
+// Raised instead of deleting an asset that pages or tracks still point at
+export class MediaInUseError extends StorageError {
+  constructor(usage) {
+    super('Media is still in use; pass force=true to delete it anyway', 409);
+    this.name = 'MediaInUseError';
+    this.usage = usage;
+  }
+}
+
+// Pages and tracks whose media fields point at the asset. Read from those collections rather
+// than the catalog's usage index, so a stale index can never let an in-use asset go. URLs
+// are compared by the storage id they resolve to, so a different version or transformation
+// of the same asset (or another host for local files) still counts as usage.
+export const findMediaUsage = async (storageId) => {
+  const storage = getStorage();
+  const usage = [];
+
+  // Narrow the scan to URLs mentioning the file name, as written or URL-encoded
+  const stem = storageId.split('/').pop().replace(/\.[^.]+$/, '');
+  const pattern = new RegExp([stem, encodeURIComponent(stem)].map(escapeRegExp).join('|'));
+
+  for (const [modelName, fields] of Object.entries(MEDIA_REFERENCES)) {
+    const documents = await REFERENCING_MODELS[modelName]
+      .find({ $or: fields.map(field => ({ [field]: pattern })) })
+      .select([...SUMMARY_FIELDS[modelName], ...fields].join(' '))
+      .lean();
+
+    for (const document of documents) {
+      const matching = fields.filter(field => document[field] && storage.idFromUrl(document[field]) === storageId);
+      if (matching.length === 0) continue;
+
+      const summary = Object.fromEntries(SUMMARY_FIELDS[modelName].map(field => [field, document[field]]));
+      usage.push({
+        model: modelName,
+        id: document._id,
+        ...summary,
+        fields: matching
+      });
+    }
+  }
+
+  return usage;
+};
+
+const updateCatalog = async (description, fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    console.error(`Error updating media catalog after ${description}:`, error);
+    return null;
+  }
+};
+
+// Upload a file and catalog it; resolves to { item, media }
+export const uploadMedia = async ({ buffer, fileName, mimeType, folder, kind, user }) => {
+  const storage = getStorage();
+  const item = await storage.upload({ buffer, fileName, mimeType, folder, kind });
+
+  const media = await updateCatalog('upload', () => Media.upsertFromItem(item, {
+    driver: storage.name,
+    kind,
+    uploadedBy: user?._id
+  }));
+
+  return { item, media };
+};
+
+export const renameMedia = async (storageId, { kind, displayName }) => {
+  const storage = getStorage();
+  const item = await storage.rename(storageId, { kind, displayName });
+
+  await updateCatalog('rename', () => Media.upsertFromItem(item, { driver: storage.name, kind }));
+
+  return item;
+};
+
+// Resolves to false when storage had nothing to delete. Unless forced, an asset that is
+// still referenced is refused with a MediaInUseError. Usage is looked up by storage id,
+// so assets the catalog does not know yet are checked too.
+export const removeMedia = async (storageId, { kind, force = false }) => {
+  const storage = getStorage();
+
+  if (!force) {
+    const usage = await findMediaUsage(storageId);
+    if (usage.length > 0) {
+      throw new MediaInUseError(usage);
+    }
+  }
+
+  const deleted = await storage.remove(storageId, { kind });
+
+  await updateCatalog('delete', () => Media.deleteOne({ driver: storage.name, storageId }));
+
+  return deleted;
+};
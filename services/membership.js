@@ -0,0 +1,213 @@
+import mongoose from 'mongoose';
+import Track from '../models/Track.js';
+import Playlist from '../models/Playlist.js';
+
+// Playlist membership is stored on both sides (Playlist.tracks and Track.playlists).
+// Every change here updates both sides and the playlist totals in one transaction.
+// Each function joins the caller's session when given one, or starts its own transaction.
+// A standalone server cannot run transactions: writes are refused there unless
+// ALLOW_NON_TRANSACTIONAL_WRITES=true, meant for local development only.
+
+// Whether the server supports transactions: replica set members and mongos routers do,
+// a standalone server (the default local setup) does not. Checked once per process.
+let transactionSupport = null;
+
+export const supportsTransactions = () => {
+  if (!transactionSupport) {
+    transactionSupport = mongoose.connection.asPromise()
+      .then(connection => connection.db.admin().command({ hello: 1 }))
+      .then(hello => Boolean(hello.setName) || hello.msg === 'isdbgrid')
+      .catch(error => {
+        transactionSupport = null;
+        throw error;
+      });
+  }
+  return transactionSupport;
+};
+
+// Read lazily so dotenv has run
+const nonTransactionalWritesAllowed = () => process.env.ALLOW_NON_TRANSACTIONAL_WRITES === 'true';
+
+// Run work in a transaction, retrying on transient errors. On a standalone server this
+// throws, unless non-transactional writes were allowed: then the work runs without a
+// session and the two sides of a change are no longer written atomically.
+export const runInTransaction = async (fn) => {
+  if (await supportsTransactions()) {
+    return mongoose.connection.transaction(fn);
+  }
+
+  if (!nonTransactionalWritesAllowed()) {
+    console.error('MongoDB is a standalone server and cannot run transactions; use a replica set, or set ALLOW_NON_TRANSACTIONAL_WRITES=true for local development');
+    throw new Error('Transactions are not supported by this MongoDB server');
+  }
+  return fn(undefined);
+};
+
+const withSession = (session, fn) => (session ? fn(session) : runInTransaction(fn));
+
+// Distinct ObjectIds from a list of ids in any form
+const toObjectIds = (ids = []) => [...new Set(ids.map(String))].map(id => new mongoose.Types.ObjectId(id));
+
+// Ids from the list that do not match a document of the given model
+export const findMissingIds = async (Model, ids = []) => {
+  const objectIds = toObjectIds(ids);
+  const found = await Model.find({ _id: { $in: objectIds } }).distinct('_id');
+  const foundSet = new Set(found.map(String));
+  return objectIds.map(String).filter(id => !foundSet.has(id));
+};
+
+// Add one track to any number of playlists (appended to the end of each)
+export const addTrackToPlaylists = (trackId, playlistIds, session) => withSession(session, async (session) => {
+  const ids = toObjectIds(playlistIds);
+  if (ids.length === 0) return;
+
+  await Playlist.updateMany(
+    { _id: { $in: ids }, tracks: { $ne: trackId } },
+    { $push: { tracks: trackId }, $inc: { tracksVersion: 1 } },
+    { session }
+  );
+  await Track.updateOne({ _id: trackId }, { $addToSet: { playlists: { $each: ids } } }, { session });
+  await Playlist.refreshTotals(ids, { session });
+});
+
+// Remove one track from any number of playlists
+export const removeTrackFromPlaylists = (trackId, playlistIds, session) => withSession(session, async (session) => {
+  const ids = toObjectIds(playlistIds);
+  if (ids.length === 0) return;
+
+  await Playlist.updateMany(
+    { _id: { $in: ids }, tracks: trackId },
+    { $pull: { tracks: trackId }, $inc: { tracksVersion: 1 } },
+    { session }
+  );
+  await Track.updateOne({ _id: trackId }, { $pull: { playlists: { $in: ids } } }, { session });
+  await Playlist.refreshTotals(ids, { session });
+});
+
+// Make a track belong to exactly the given manual playlists
+export const setTrackPlaylists = (trackId, playlistIds, session) => withSession(session, async (session) => {
+  const track = await Track.findById(trackId).select('playlists').session(session);
+  const current = new Set(track.playlists.map(String));
+  const desired = new Set(toObjectIds(playlistIds).map(String));
+
+  // Smart playlists pick their tracks by rules, so the list leaves them alone
+  const smart = await Playlist.find({ _id: { $in: [...current] }, mode: 'smart' }).session(session).distinct('_id');
+  const kept = new Set(smart.map(String));
+
+  await removeTrackFromPlaylists(trackId, [...current].filter(id => !desired.has(id) && !kept.has(id)), session);
+  await addTrackToPlaylists(trackId, [...desired].filter(id => !current.has(id)), session);
+});
+
+// Append tracks to a playlist, skipping ones already in it
+export const addTracksToPlaylist = (playlistId, trackIds, session) => withSession(session, async (session) => {
+  const ids = toObjectIds(trackIds);
+  if (ids.length === 0) return;
+
+  await Playlist.updateOne(
+    { _id: playlistId },
+    { $addToSet: { tracks: { $each: ids } }, $inc: { tracksVersion: 1 } },
+    { session }
+  );
+  await Track.updateMany({ _id: { $in: ids } }, { $addToSet: { playlists: playlistId } }, { session });
+  await Playlist.refreshTotals([playlistId], { session });
+});
+
+// Remove tracks from a playlist
+export const removeTracksFromPlaylist = (playlistId, trackIds, session) => withSession(session, async (session) => {
+  const ids = toObjectIds(trackIds);
+  if (ids.length === 0) return;
+
+  await Playlist.updateOne(
+    { _id: playlistId },
+    { $pull: { tracks: { $in: ids } }, $inc: { tracksVersion: 1 } },
+    { session }
+  );
+  await Track.updateMany({ _id: { $in: ids } }, { $pull: { playlists: playlistId } }, { session });
+  await Playlist.refreshTotals([playlistId], { session });
+});
+
+// Replace a playlist's tracks with the given list, in the given order.
+// With an expectedVersion nothing is written and false is returned when the
+// playlist's tracks changed since that version.
+export const setPlaylistTracks = (playlistId, trackIds, session, expectedVersion) => withSession(session, async (session) => {
+  const filter = expectedVersion === undefined ? { _id: playlistId } : { _id: playlistId, tracksVersion: expectedVersion };
+  const playlist = await Playlist.findOne(filter).select('tracks').session(session);
+  if (!playlist) return false;
+
+  const ids = toObjectIds(trackIds);
+  const current = new Set(playlist.tracks.map(String));
+  const desired = new Set(ids.map(String));
+
+  const removed = [...current].filter(id => !desired.has(id));
+  const added = [...desired].filter(id => !current.has(id));
+
+  const result = await Playlist.updateOne(filter, { $set: { tracks: ids }, $inc: { tracksVersion: 1 } }, { session });
+  if (result.matchedCount === 0) return false;
+
+  if (removed.length > 0) {
+    await Track.updateMany({ _id: { $in: removed } }, { $pull: { playlists: playlistId } }, { session });
+  }
+  if (added.length > 0) {
+    await Track.updateMany({ _id: { $in: added } }, { $addToSet: { playlists: playlistId } }, { session });
+  }
+  await Playlist.refreshTotals([playlistId], { session });
+  return true;
+});
+
+// Delete a track and pull it from every playlist that still lists it
+export const deleteTrack = (trackId, session) => withSession(session, async (session) => {
+  const track = await Track.findById(trackId).session(session);
+  if (!track) return null;
+
+  // Look up containing playlists directly rather than trusting Track.playlists
+  const playlistIds = await Playlist.find({ tracks: track._id }).session(session).distinct('_id');
+
+  await Playlist.updateMany(
+    { _id: { $in: playlistIds } },
+    { $pull: { tracks: track._id }, $inc: { tracksVersion: 1 } },
+    { session }
+  );
+  await track.deleteOne({ session });
+  await Playlist.refreshTotals(playlistIds, { session });
+
+  return track;
+});
+
+// Delete a playlist and pull it from every track that still references it
+export const deletePlaylist = (playlistId, session) => withSession(session, async (session) => {
+  const playlist = await Playlist.findById(playlistId).session(session);
+  if (!playlist) return null;
+
+  await Track.updateMany({ playlists: playlist._id }, { $pull: { playlists: playlist._id } }, { session });
+  await playlist.deleteOne({ session });
+
+  return playlist;
+});
+
+// Insert a track at a position (0-based, clamped to the end) in a playlist at the expected version.
+// Returns false when the playlist changed since that version or already contains the track.
+export const insertTrackIntoPlaylist = (playlistId, trackId, position, expectedVersion, session) => withSession(session, async (session) => {
+  const result = await Playlist.updateOne(
+    { _id: playlistId, tracksVersion: expectedVersion, tracks: { $ne: trackId } },
+    { $push: { tracks: { $each: [trackId], $position: position } }, $inc: { tracksVersion: 1 } },
+    { session }
+  );
+
+  if (result.matchedCount === 0) {
+    return false;
+  }
+
+  await Track.updateOne({ _id: trackId }, { $addToSet: { playlists: playlistId } }, { session });
+  await Playlist.refreshTotals([playlistId], { session });
+  return true;
+});
+
+// Save a new order for a playlist's existing tracks if it is still at the expected version.
+// Returns false when another editor changed the playlist first.
+export const reorderPlaylistTracks = async (playlistId, trackIds, expectedVersion) => {
+  const result = await Playlist.updateOne(
+    { _id: playlistId, tracksVersion: expectedVersion },
+    { $set: { tracks: toObjectIds(trackIds) }, $inc: { tracksVersion: 1 } }
+  );
+  return result.matchedCount > 0;
+};
@@ -0,0 +1,143 @@
+import Track from '../models/Track.js';
+import { escapeRegExp } from '../utils/search.js';
+
+// Largest number of entries accepted in one import
+export const MAX_IMPORT_ENTRIES = 500;
+
+const isHttpUrl = (value) => /^https?:\/\//i.test(value || '');
+
+// Case-insensitive exact match on a text field
+const exactText = (value) => ({ $regex: `^${escapeRegExp(value.trim())}$`, $options: 'i' });
+
+// Find an existing track for an entry: by audio URL first, then by title (and author when given)
+const findExistingTrack = async (entry, tracksByUrl) => {
+  if (entry.audioUrl && tracksByUrl.has(entry.audioUrl)) {
+    return { track: tracksByUrl.get(entry.audioUrl), matchedBy: 'audioUrl' };
+  }
+
+  if (entry.title) {
+    const filter = { title: exactText(entry.title) };
+    if (entry.author) {
+      filter.author = exactText(entry.author);
+    }
+    const track = await Track.findOne(filter).sort({ createdAt: -1 }).select('_id title author');
+    if (track) {
+      return { track, matchedBy: entry.author ? 'titleAndAuthor' : 'title' };
+    }
+  }
+
+  return null;
+};
+
+// Fields matched as text; uploaded JSON may hold anything in them
+const TEXT_FIELDS = ['audioUrl', 'title', 'author'];
+
+// Why an entry cannot be read at all, or null
+const entryTypeProblem = (entry) => {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return 'Entry is not an object';
+  }
+  const field = TEXT_FIELDS.find(name => entry[name] !== undefined && entry[name] !== null && typeof entry[name] !== 'string');
+  return field ? `${field} must be text` : null;
+};
+
+// Trimmed text field of an entry, or undefined
+const textField = (entry, field) => (typeof entry?.[field] === 'string' ? entry[field].trim() : undefined);
+
+// File name at the end of a URL, used as the title of a new track when the entry has none
+const fileNameFromUrl = (url) => {
+  const name = url.split(/[?#]/)[0].split('/').pop() || 'Untitled';
+  try {
+    return decodeURIComponent(name);
+  } catch (error) {
+    return name;
+  }
+};
+
+// Fields copied from an import entry onto a newly created track
+const newTrackFields = (entry) => ({
+  title: entry.title || fileNameFromUrl(entry.audioUrl),
+  author: entry.author,
+  description: entry.description,
+  audioUrl: entry.audioUrl,
+  thumbnail: entry.thumbnail,
+  durationSeconds: entry.durationSeconds,
+  category: entry.category,
+  releaseDate: entry.releaseDate
+});
+
+// Match parsed playlist entries to existing tracks and prepare tracks for the rest.
+// Nothing is written: the caller saves the unsaved tracks in `toCreate` and builds the
+// playlist from the track ids in `order` (entry order), typically in one transaction.
+export const planImport = async (entries, { createMissing = true } = {}) => {
+  const urls = entries.map(entry => textField(entry, 'audioUrl')).filter(isHttpUrl);
+  const existingByUrl = await Track.find({ audioUrl: { $in: urls } }).select('_id title author audioUrl');
+  const tracksByUrl = new Map(existingByUrl.map(track => [track.audioUrl, track]));
+
+  const report = { matched: [], created: [], rejected: [] };
+  const order = [];
+  const toCreate = [];
+  const createdByUrl = new Map();
+
+  for (const [index, rawEntry] of entries.entries()) {
+    const invalid = entryTypeProblem(rawEntry);
+    if (invalid) {
+      report.rejected.push({ index, label: `Entry ${index + 1}`, reason: invalid });
+      continue;
+    }
+
+    const entry = { ...rawEntry, audioUrl: textField(rawEntry, 'audioUrl'), title: textField(rawEntry, 'title') };
+    const label = entry.title || entry.audioUrl || `Entry ${index + 1}`;
+
+    if (!entry.audioUrl && !entry.title) {
+      report.rejected.push({ index, label, reason: 'Entry has neither an audio URL nor a title' });
+      continue;
+    }
+
+    const existing = await findExistingTrack(entry, tracksByUrl);
+    if (existing) {
+      order.push(existing.track._id);
+      report.matched.push({ index, label, trackId: existing.track._id, matchedBy: existing.matchedBy });
+      continue;
+    }
+
+    // The same new audio appearing twice in one import is only created once
+    if (createdByUrl.has(entry.audioUrl)) {
+      const track = createdByUrl.get(entry.audioUrl);
+      order.push(track._id);
+      report.matched.push({ index, label, trackId: track._id, matchedBy: 'audioUrl' });
+      continue;
+    }
+
+    if (!createMissing) {
+      report.rejected.push({ index, label, reason: 'No matching track' });
+      continue;
+    }
+
+    if (!isHttpUrl(entry.audioUrl)) {
+      report.rejected.push({
+        index,
+        label,
+        reason: entry.audioUrl
+          ? 'Audio location is not an http(s) URL, so no track can be created from it'
+          : 'No matching track and no audio URL to create one from'
+      });
+      continue;
+    }
+
+    const track = new Track(newTrackFields(entry));
+    try {
+      await track.validate();
+    } catch (error) {
+      report.rejected.push({ index, label, reason: Object.values(error.errors || {}).map(e => e.message).join(', ') || error.message });
+      continue;
+    }
+
+    createdByUrl.set(entry.audioUrl, track);
+    toCreate.push(track);
+    order.push(track._id);
+    report.created.push({ index, label, trackId: track._id });
+  }
+
+  return { order, toCreate, report };
+};
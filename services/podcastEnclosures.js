@@ -0,0 +1,102 @@
+import axios from 'axios';
+import Track from '../models/Track.js';
+import Media from '../models/Media.js';
+import { episodesOf } from '../utils/podcast.js';
+
+// Byte sizes for podcast enclosures. Tracks uploaded through the API carry their size; for
+// other audio URLs the media catalog is asked, and only then the audio host, with a HEAD
+// request whose answer is saved on the tracks so it is asked once.
+
+const HEAD_CONCURRENCY = 4;
+const HEAD_TIMEOUT_MS = 3000;
+// URLs the audio host could not size are not asked again for a while
+const FAILURE_TTL_MS = 60 * 60 * 1000;
+const FAILURE_CACHE_LIMIT = 1000;
+
+const failedLookups = new Map();
+
+const recentlyFailed = (url) => {
+  const failedAt = failedLookups.get(url);
+  if (failedAt && Date.now() - failedAt < FAILURE_TTL_MS) {
+    return true;
+  }
+  failedLookups.delete(url);
+  return false;
+};
+
+const rememberFailure = (url) => {
+  // Oldest entries go first; a Map iterates in insertion order
+  if (failedLookups.size >= FAILURE_CACHE_LIMIT) {
+    failedLookups.delete(failedLookups.keys().next().value);
+  }
+  failedLookups.set(url, Date.now());
+};
+
+const headLength = async (url) => {
+  try {
+    const response = await axios.head(url, { timeout: HEAD_TIMEOUT_MS });
+    const length = parseInt(response.headers['content-length']);
+    if (length > 0) {
+      return length;
+    }
+  } catch (error) {
+    console.error(`Error resolving enclosure length for ${url}:`, error.message);
+  }
+  rememberFailure(url);
+  return 0;
+};
+
+// Run fn over the items with at most `limit` running at once
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Byte sizes for every episode's audio, keyed by URL; 0 where the size is unknown
+export const resolveEnclosureLengths = async (playlist) => {
+  const lengths = {};
+  for (const track of episodesOf(playlist)) {
+    if (track.audioFile?.bytes > 0) {
+      lengths[track.audioUrl] = track.audioFile.bytes;
+    }
+  }
+
+  let unknown = [...new Set(episodesOf(playlist).map(track => track.audioUrl))].filter(url => !lengths[url]);
+  if (unknown.length > 0) {
+    const entries = await Media.find({ url: { $in: unknown }, bytes: { $gt: 0 } }).select('url bytes').lean();
+    for (const entry of entries) {
+      lengths[entry.url] = entry.bytes;
+    }
+    unknown = unknown.filter(url => !lengths[url] && !recentlyFailed(url));
+  }
+
+  const resolved = await mapWithConcurrency(unknown, HEAD_CONCURRENCY, headLength);
+  const updates = [];
+  unknown.forEach((url, i) => {
+    if (resolved[i] > 0) {
+      lengths[url] = resolved[i];
+      updates.push({
+        updateMany: {
+          filter: { audioUrl: url },
+          update: { $set: { 'audioFile.bytes': resolved[i] } },
+          // A size learnt for the feed is not an edit of the track
+          timestamps: false
+        }
+      });
+    }
+  });
+
+  if (updates.length > 0) {
+    await Track.bulkWrite(updates);
+  }
+
+  return lengths;
+};
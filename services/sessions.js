@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session, { PREVIOUS_TOKEN_LIMIT } from '../models/Session.js';
+import User from '../models/User.js';
+import { describeUserAgent } from '../utils/userAgent.js';
+
+// Short-lived JWT access tokens, each bound to a server-side session that holds a rotating
+// refresh token. Revoking the session ends both at once.
+
+// Raised for tokens and sessions that cannot be used; `status` is the HTTP status to answer with
+export class SessionError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+// Settings read lazily so dotenv has run
+const jwtSecret = () => process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const refreshTokenTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<session id>.<random secret>" so the session is found without a hash lookup
+const newRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const parseRefreshToken = (refreshToken = '') => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw new SessionError('Invalid refresh token');
+  }
+  return { sessionId, secret };
+};
+
+const signAccessToken = (user, session) => {
+  return jwt.sign({ userId: user._id, sid: session._id }, jwtSecret(), { expiresIn: accessTokenTtl() });
+};
+
+const tokensFor = (user, session, secret) => {
+  const accessToken = signAccessToken(user, session);
+  return {
+    accessToken,
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+    session
+  };
+};
+
+const clientDetails = (req) => {
+  const userAgent = req.get('User-Agent') || '';
+  return {
+    userAgent: userAgent.slice(0, 500),
+    device: describeUserAgent(userAgent),
+    ip: req.ip
+  };
+};
+
+// Start a session for a user who just proved who they are
+export const issueSession = async (user, req) => {
+  const secret = newRefreshSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    ...clientDetails(req),
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs())
+  });
+
+  return tokensFor(user, session, secret);
+};
+
+// Swap a refresh token for a new access and refresh token. A refresh token that was
+// already rotated out means it leaked (or a client misbehaves): the session is revoked.
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const presentedHash = hashToken(secret);
+  const nextSecret = newRefreshSecret();
+  const now = new Date();
+
+  // Conditional on the current hash, so two concurrent refreshes cannot both win
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash: presentedHash, ...Session.activeFilter(now) },
+    {
+      $set: {
+        tokenHash: hashToken(nextSecret),
+        ...clientDetails(req),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + refreshTokenTtlMs())
+      },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -PREVIOUS_TOKEN_LIMIT } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { _id: sessionId, previousTokenHashes: presentedHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'reuse-detected' } }
+    );
+    if (reused) {
+      console.warn(`Refresh token reuse detected; session ${sessionId} of user ${reused.user} revoked`);
+    }
+    throw new SessionError('Refresh token is invalid, expired or revoked');
+  }
+
+  const user = await User.findById(session.user).select('-password');
+  if (!user || !user.isActive) {
+    await revokeSession(session._id, 'deactivated');
+    throw new SessionError('User not found or inactive');
+  }
+
+  return { ...tokensFor(user, session, nextSecret), user };
+};
+
+// Verify an access token and load its user and session. Tokens whose session was revoked
+// stop working immediately, not only once they expire.
+export const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, jwtSecret());
+  } catch (error) {
+    throw new SessionError('Authentication failed');
+  }
+
+  if (!decoded.sid) {
+    throw new SessionError('Token has no session; please log in again');
+  }
+
+  const [session, user] = await Promise.all([
+    Session.findOne({ _id: decoded.sid, user: decoded.userId, ...Session.activeFilter() }),
+    User.findById(decoded.userId).select('-password')
+  ]);
+
+  if (!session) {
+    throw new SessionError('Session expired or revoked');
+  }
+
+  if (!user || !user.isActive) {
+    throw new SessionError('User not found or inactive');
+  }
+
+  if (user.changedPasswordAfter(decoded.iat)) {
+    throw new SessionError('Password changed since this token was issued; please log in again');
+  }
+
+  return { user, session, decoded };
+};
+
+// Revoke one active session, optionally only if it belongs to `user`
+export const revokeSession = (sessionId, reason, { user } = {}) => {
+  const filter = { _id: sessionId, ...Session.activeFilter() };
+  if (user) {
+    filter.user = user;
+  }
+  return Session.updateOne(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+// Revoke every active session of a user
+export const revokeUserSessions = (userId, reason) => {
+  return Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Active sessions of a user, most recently used first
+export const listUserSessions = (userId) => {
+  return Session.find({ user: userId, ...Session.activeFilter() }).sort({ lastUsedAt: -1 });
+};
+
+// A session as shown to its user or an admin; `current` is the caller's own session
+export const sessionSummary = (session, current) => ({
+  id: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(current && session._id.equals(current._id))
+});
@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { StorageError } from './errors.js';
+
+// Cloudinary stores audio under the "video" resource type
+const RESOURCE_TYPES = { audio: 'video', image: 'image' };
+
+const resourceType = (kind) => RESOURCE_TYPES[kind] || 'raw';
+
+// Credentials read lazily so dotenv has run
+const credentials = () => {
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  const apiKey = process.env.CLOUDINARY_API_KEY;
+  const apiSecret = process.env.CLOUDINARY_API_SECRET;
+
+  if (!cloudName || !apiKey || !apiSecret) {
+    throw new StorageError('Cloudinary configuration missing', 500);
+  }
+  return { cloudName, apiKey, apiSecret };
+};
+
+// Admin API request with basic auth; Cloudinary errors become StorageErrors
+const adminRequest = async (method, path, { params, data } = {}) => {
+  const { cloudName, apiKey, apiSecret } = credentials();
+  try {
+    const response = await axios({
+      method,
+      url: `https://api.cloudinary.com/v1_1/${cloudName}/${path}`,
+      params,
+      data,
+      auth: { username: apiKey, password: apiSecret }
+    });
+    return response.data;
+  } catch (error) {
+    console.error(`Cloudinary ${method.toUpperCase()} ${path} failed:`, error.response?.data || error.message);
+    const status = error.response?.status === 404 ? 404 : 502;
+    throw new StorageError(error.response?.data?.error?.message || 'Cloudinary request failed', status);
+  }
+};
+
+// Signature for authenticated upload API calls: sorted params plus the API secret, SHA-1
+const sign = (params, apiSecret) => {
+  const payload = Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+  return crypto.createHash('sha1').update(payload + apiSecret).digest('hex');
+};
+
+// Cloudinary resource in the shape shared by all drivers
+const toItem = (resource) => ({
+  id: resource.public_id,
+  url: resource.secure_url,
+  name: resource.display_name || resource.public_id.split('/').pop(),
+  folder: resource.asset_folder ?? resource.folder ?? resource.public_id.split('/').slice(0, -1).join('/'),
+  format: resource.format,
+  bytes: resource.bytes,
+  width: resource.width,
+  height: resource.height,
+  duration: resource.duration,
+  createdAt: resource.created_at
+});
+
+const list = async ({ kind = 'image', folder, recursive = true, limit = 10, cursor } = {}) => {
+  // The search API filters by folder; without a folder the plain resource listing is cheaper
+  const data = folder
+    ? await adminRequest('get', 'resources/search', {
+      params: {
+        expression: recursive ? `folder:${folder}*` : `folder:${folder}`,
+        resource_type: resourceType(kind),
+        max_results: limit,
+        with_field: 'context',
+        next_cursor: cursor || undefined
+      }
+    })
+    : await adminRequest('get', `resources/${resourceType(kind)}`, {
+      params: { type: 'upload', max_results: limit, next_cursor: cursor || undefined }
+    });
+
+  return {
+    items: (data.resources || []).map(toItem),
+    nextCursor: data.next_cursor || null
+  };
+};
+
+const upload = async ({ buffer, fileName, mimeType, folder, kind = 'audio' }) => {
+  const { cloudName, apiKey, apiSecret } = credentials();
+
+  const params = {
+    folder,
+    timestamp: Math.floor(Date.now() / 1000),
+    use_filename: 'true',
+    unique_filename: 'true'
+  };
+
+  const form = new FormData();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') {
+      form.append(key, String(value));
+    }
+  }
+  form.append('api_key', apiKey);
+  form.append('signature', sign(params, apiSecret));
+  form.append('file', new Blob([buffer], { type: mimeType }), fileName);
+
+  try {
+    const response = await axios.post(
+      `https://api.cloudinary.com/v1_1/${cloudName}/${resourceType(kind)}/upload`,
+      form,
+      { maxBodyLength: Infinity, maxContentLength: Infinity }
+    );
+    return toItem({ folder, ...response.data });
+  } catch (error) {
+    console.error('Cloudinary upload failed:', error.response?.data || error.message);
+    throw new StorageError(error.response?.data?.error?.message || 'Cloudinary upload failed', 502);
+  }
+};
+
+// Cloudinary "renames" by changing the display name; the public id (and URL) stay the same
+const rename = async (id, { kind = 'image', displayName }) => {
+  const resource = await adminRequest('post', `resources/${resourceType(kind)}/upload/${id}`, {
+    data: { display_name: displayName }
+  });
+  return toItem(resource);
+};
+
+// Resolves to false when there was nothing to delete
+const remove = async (id, { kind = 'image' } = {}) => {
+  const data = await adminRequest('delete', `resources/${resourceType(kind)}/upload`, {
+    params: { 'public_ids[]': id }
+  });
+  return data.deleted?.[id] === 'deleted';
+};
+
+// Delivery URLs look like https://res.cloudinary.com/<cloud>/<type>/upload/[<transformations>/][v<version>/]<public id>.<ext>
+const TRANSFORMATION_SEGMENT = /^[a-z]{1,3}_[^/]*$/;
+const VERSION_SEGMENT = /^v\d+$/;
+
+// The public id a delivery URL points at, whatever its version or transformations;
+// null for URLs that are not this cloud's uploaded assets
+const idFromUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const [cloud, type, delivery, ...rest] = parsed.pathname.split('/').filter(Boolean);
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  if (!parsed.hostname.endsWith('cloudinary.com') || (cloudName && cloud !== cloudName) || delivery !== 'upload') {
+    return null;
+  }
+
+  // Everything after the version is the public id; without one, skip leading transformations
+  const version = rest.findIndex(segment => VERSION_SEGMENT.test(segment));
+  const isTransformation = (segment) => segment.split(',').every(part => TRANSFORMATION_SEGMENT.test(part));
+  const start = version === -1 ? rest.findIndex(segment => !isTransformation(segment)) : version + 1;
+  if (start === -1 || start >= rest.length) {
+    return null;
+  }
+
+  let id;
+  try {
+    id = rest.slice(start).map(decodeURIComponent).join('/');
+  } catch {
+    return null;
+  }
+  // Raw assets keep their extension in the public id; images and audio do not
+  return type === 'raw' ? id : id.replace(/\.[^./]+$/, '');
+};
+
+// Folder paths go into the URL path; each segment is encoded so none can escape it
+const encodeFolder = (folder) => folder.split('/').map(encodeURIComponent).join('/');
+
+const listFolders = async (folder) => {
+  const data = await adminRequest('get', folder ? `folders/${encodeFolder(folder)}` : 'folders');
+  return (data.folders || []).map(entry => ({ name: entry.name, path: entry.path }));
+};
+
+const createFolder = async (folder) => {
+  const data = await adminRequest('post', `folders/${encodeFolder(folder)}`);
+  return { name: data.name, path: data.path };
+};
+
+export default {
+  name: 'cloudinary',
+  list,
+  upload,
+  rename,
+  remove,
+  idFromUrl,
+  listFolders,
+  createFolder
+};
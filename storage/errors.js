@@ -0,0 +1,8 @@
+// Error raised by storage drivers; `status` is the HTTP status a route should answer with
+export class StorageError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+  }
+}
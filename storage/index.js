@@ -0,0 +1,62 @@
+import express from 'express';
+import cloudinary from './cloudinary.js';
+import path from 'path';
+import local, { localStorageSettings, kindOf } from './local.js';
+import { StorageError } from './errors.js';
+
+export { StorageError };
+
+// Media storage drivers, selected with STORAGE_DRIVER. Every driver exposes the same operations:
+//   list({ kind, folder, recursive, limit, cursor }) -> { items, nextCursor }
+//   upload({ buffer, fileName, mimeType, folder, kind }) -> item
+//   rename(id, { kind, displayName }) -> item
+//   remove(id, { kind }) -> true, or false when there was nothing to delete
+//   idFromUrl(url) -> the id of the asset a URL points at, or null when it is not one of the driver's
+//   listFolders(folder) -> [{ name, path }]
+//   createFolder(folder) -> { name, path }
+// Items look like { id, url, name, folder, format, bytes, width, height, duration, createdAt }.
+// Drivers throw StorageError for configuration problems and failed requests.
+const DRIVERS = {
+  cloudinary,
+  local
+};
+
+// Default folders for each kind of media
+export const mediaFolders = () => ({
+  audio: process.env.AUDIO_FOLDER || 'da-orbit-audio',
+  image: process.env.ARTWORK_FOLDER || 'da-orbit-artwork'
+});
+
+export const getStorage = () => {
+  const name = process.env.STORAGE_DRIVER || 'cloudinary';
+  const driver = DRIVERS[name];
+  if (!driver) {
+    throw new StorageError(`Unknown storage driver "${name}"`, 500);
+  }
+  return driver;
+};
+
+// Serve files written by the local driver; does nothing for remote drivers
+export const serveLocalMedia = (app) => {
+  if (getStorage() !== local) {
+    return;
+  }
+
+  const { root, mountPath } = localStorageSettings();
+  app.use(mountPath, express.static(root, {
+    dotfiles: 'ignore',
+    fallthrough: false,
+    setHeaders: (res, filePath) => {
+      // Media is embedded by the frontend on another origin
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      // Files are served from the API origin, so nothing in them may run there: no sniffing
+      // into HTML, no scripts, and anything that is not plain media (SVG can carry scripts)
+      // is downloaded rather than displayed
+      res.set('X-Content-Type-Options', 'nosniff');
+      res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+      if (!kindOf(filePath) || path.extname(filePath).toLowerCase() === '.svg') {
+        res.attachment(path.basename(filePath));
+      }
+    }
+  }));
+};
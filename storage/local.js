@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { StorageError } from './errors.js';
+
+// Stores media on the local disk for offline development and tests. Files are served
+// by Express (see serveLocalMedia in ./index.js); ids are paths relative to the root,
+// and display names live in a small JSON index next to the files.
+
+const EXTENSIONS = {
+  image: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif', '.svg'],
+  audio: ['.mp3', '.m4a', '.mp4', '.aac', '.ogg', '.oga', '.opus', '.flac', '.wav']
+};
+
+const INDEX_FILE = '.media-index.json';
+
+// Settings read lazily so dotenv has run
+export const localStorageSettings = () => ({
+  root: path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads'),
+  mountPath: process.env.LOCAL_STORAGE_MOUNT_PATH || '/media',
+  baseUrl: (process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '')
+});
+
+// Absolute path for an id or folder, refusing anything that escapes the storage root
+const resolvePath = (relative = '') => {
+  const { root } = localStorageSettings();
+  const absolute = path.resolve(root, relative);
+  if (absolute !== root && !absolute.startsWith(root + path.sep)) {
+    throw new StorageError('Invalid media path', 400);
+  }
+  return absolute;
+};
+
+const toId = (absolute) => path.relative(localStorageSettings().root, absolute).split(path.sep).join('/');
+
+const urlFor = (id) => {
+  const { baseUrl, mountPath } = localStorageSettings();
+  return `${baseUrl}${mountPath}/${id.split('/').map(encodeURIComponent).join('/')}`;
+};
+
+// The id a URL under the mount path points at, whichever host it was built with; null otherwise
+const idFromUrl = (url) => {
+  const { mountPath } = localStorageSettings();
+  let pathname;
+  try {
+    ({ pathname } = new URL(url, 'http://localhost'));
+  } catch {
+    return null;
+  }
+
+  if (!pathname.startsWith(`${mountPath}/`)) {
+    return null;
+  }
+  try {
+    return pathname.slice(mountPath.length + 1).split('/').map(decodeURIComponent).join('/');
+  } catch {
+    return null;
+  }
+};
+
+export const kindOf = (fileName) => Object.keys(EXTENSIONS).find(kind => EXTENSIONS[kind].includes(path.extname(fileName).toLowerCase()));
+
+const readIndex = async () => {
+  try {
+    return JSON.parse(await fs.readFile(resolvePath(INDEX_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+};
+
+const writeIndex = async (index) => {
+  await fs.mkdir(localStorageSettings().root, { recursive: true });
+  await fs.writeFile(resolvePath(INDEX_FILE), JSON.stringify(index, null, 2));
+};
+
+const toItem = async (absolute, index) => {
+  const stats = await fs.stat(absolute);
+  const id = toId(absolute);
+  return {
+    id,
+    url: urlFor(id),
+    name: index[id]?.displayName || path.parse(id).name,
+    folder: path.posix.dirname(id) === '.' ? '' : path.posix.dirname(id),
+    format: path.extname(id).slice(1).toLowerCase(),
+    bytes: stats.size,
+    createdAt: new Date(stats.birthtimeMs || stats.mtimeMs).toISOString()
+  };
+};
+
+// Files under a directory, optionally including subdirectories; a missing directory is empty
+const walk = async (directory, recursive) => {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const absolute = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (recursive) files.push(...await walk(absolute, recursive));
+    } else {
+      files.push(absolute);
+    }
+  }
+  return files;
+};
+
+// The cursor is the offset of the next page
+const list = async ({ kind = 'image', folder = '', recursive = true, limit = 10, cursor } = {}) => {
+  const index = await readIndex();
+  const files = (await walk(resolvePath(folder), recursive)).filter(file => kindOf(file) === kind);
+  const items = await Promise.all(files.map(file => toItem(file, index)));
+  items.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const offset = parseInt(cursor) || 0;
+  const next = offset + limit;
+  return {
+    items: items.slice(offset, next),
+    nextCursor: next < items.length ? String(next) : null
+  };
+};
+
+const upload = async ({ buffer, fileName, folder = '', kind }) => {
+  const { name, ext } = path.parse(fileName || 'upload');
+  // The extension decides how the file is served later, so only media extensions of the
+  // requested kind are kept; the client's MIME type is not evidence of anything
+  const allowed = kind ? EXTENSIONS[kind] || [] : Object.values(EXTENSIONS).flat();
+  if (!allowed.includes(ext.toLowerCase())) {
+    throw new StorageError(`Unsupported ${kind || 'media'} file type "${ext || 'none'}"; allowed: ${allowed.join(', ')}`, 400);
+  }
+  const safeName = name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'upload';
+  // A random suffix keeps uploads with the same file name from overwriting each other
+  const target = resolvePath(path.posix.join(folder, `${safeName}-${crypto.randomBytes(3).toString('hex')}${ext.toLowerCase()}`));
+
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, buffer);
+
+  return toItem(target, {});
+};
+
+const rename = async (id, { kind, displayName }) => {
+  const absolute = resolvePath(id);
+  try {
+    await fs.access(absolute);
+  } catch (error) {
+    throw new StorageError('Media not found', 404);
+  }
+  if (kind && kindOf(id) !== kind) {
+    throw new StorageError('Media not found', 404);
+  }
+
+  const index = await readIndex();
+  index[id] = { ...index[id], displayName };
+  await writeIndex(index);
+
+  return toItem(absolute, index);
+};
+
+// Resolves to false when there was nothing (of this kind) to delete
+const remove = async (id, { kind } = {}) => {
+  if (kind && kindOf(id) !== kind) {
+    return false;
+  }
+
+  try {
+    await fs.unlink(resolvePath(id));
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+
+  const index = await readIndex();
+  if (index[id]) {
+    delete index[id];
+    await writeIndex(index);
+  }
+  return true;
+};
+
+const listFolders = async (folder = '') => {
+  let entries;
+  try {
+    entries = await fs.readdir(resolvePath(folder), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return entries
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map(entry => ({ name: entry.name, path: path.posix.join(folder, entry.name) }));
+};
+
+const createFolder = async (folder) => {
+  await fs.mkdir(resolvePath(folder), { recursive: true });
+  return { name: path.posix.basename(folder), path: folder };
+};
+
+export default {
+  name: 'local',
+  list,
+  upload,
+  rename,
+  remove,
+  idFromUrl,
+  listFolders,
+  createFolder
+};
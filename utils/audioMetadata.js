@@ -0,0 +1,47 @@
+import path from 'path';
+import { parseBuffer } from 'music-metadata';
+
+// Audio file types accepted for upload, by extension and MIME type
+export const AUDIO_EXTENSIONS = ['.mp3', '.m4a', '.mp4', '.aac', '.ogg', '.oga', '.opus', '.flac', '.wav'];
+
+export const isAudioFile = ({ mimetype = '', originalname = '' }) => {
+  return mimetype.startsWith('audio/') || AUDIO_EXTENSIONS.includes(path.extname(originalname).toLowerCase());
+};
+
+const firstOf = (value) => (Array.isArray(value) ? value[0] : value);
+
+// Release date from the tag's date (full or partial ISO) or year
+const releaseDateFromTags = (common) => {
+  if (common.date) {
+    const date = new Date(common.date.length === 4 ? `${common.date}-01-01` : common.date);
+    if (!Number.isNaN(date.getTime())) return date;
+  }
+  if (common.year) {
+    return new Date(Date.UTC(common.year, 0, 1));
+  }
+  return null;
+};
+
+// Read the tags (ID3, Vorbis comments, MP4 atoms, ...) and stream properties of an
+// audio file held in memory. Values the file does not carry are left undefined.
+export const extractAudioMetadata = async (buffer, { mimeType, fileName } = {}) => {
+  const { common, format } = await parseBuffer(buffer, { mimeType, path: fileName, size: buffer.length });
+  const picture = firstOf(common.picture);
+  const comment = firstOf(common.comment);
+
+  return {
+    title: common.title || path.parse(fileName || '').name || undefined,
+    author: common.artist || common.albumartist || firstOf(common.artists),
+    album: common.album,
+    category: firstOf(common.genre),
+    description: typeof comment === 'string' ? comment : comment?.text,
+    releaseDate: releaseDateFromTags(common),
+    durationSeconds: Number.isFinite(format.duration) ? Math.round(format.duration) : undefined,
+    bitrate: Number.isFinite(format.bitrate) ? Math.round(format.bitrate) : undefined,
+    sampleRate: format.sampleRate,
+    channels: format.numberOfChannels,
+    codec: format.codec,
+    container: format.container,
+    picture: picture ? { data: Buffer.from(picture.data), mimeType: picture.format } : null
+  };
+};
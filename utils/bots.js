@@ -0,0 +1,4 @@
+// User agents of crawlers, monitors and scripted clients that should not count as listeners
+const BOT_PATTERN = /bot|crawl|spider|slurp|fetch|scrape|monitor|preview|facebookexternalhit|embedly|headless|phantom|lighthouse|pingdom|uptime|curl|wget|python-requests|axios|node-fetch|go-http-client|java\/|httpclient|libwww/i;
+
+export const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
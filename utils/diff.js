@@ -0,0 +1,31 @@
+// Normalise a value so dates, ObjectIds and arrays compare by content
+const normalise = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return JSON.parse(JSON.stringify(value));
+};
+
+const isEqual = (a, b) => JSON.stringify(normalise(a)) === JSON.stringify(normalise(b));
+
+// Field-level diff between two plain objects.
+// Returns one entry per top-level field whose value differs.
+export const diffObjects = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  for (const field of [...fields].sort()) {
+    const from = before?.[field];
+    const to = after?.[field];
+
+    if (!isEqual(from, to)) {
+      changes.push({
+        field,
+        from: normalise(from),
+        to: normalise(to)
+      });
+    }
+  }
+
+  return changes;
+};
@@ -0,0 +1,91 @@
+// Parsing and display helpers for the numeric track and playlist fields
+
+const UNIT_SECONDS = { h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600, m: 60, min: 60, mins: 60, minute: 60, minutes: 60, s: 1, sec: 1, secs: 1, second: 1, seconds: 1 };
+
+// Seconds from "750", "12:30", "1:02:03", "45 min" or "1h 5m 20s"; null when unrecognised
+export const parseDuration = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+  }
+
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text) {
+    return null;
+  }
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text));
+  }
+
+  if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+    return text.split(':').reduce((total, part) => total * 60 + parseInt(part), 0);
+  }
+
+  const units = [...text.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]+)/g)];
+  if (units.length > 0 && units.every(([, , unit]) => UNIT_SECONDS[unit])) {
+    return Math.round(units.reduce((total, [, amount, unit]) => total + parseFloat(amount) * UNIT_SECONDS[unit], 0));
+  }
+
+  return null;
+};
+
+// "M:SS" below an hour, "H:MM:SS" above
+export const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined || !Number.isFinite(seconds)) {
+    return '';
+  }
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  const pad = (n) => String(n).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+};
+
+const COUNT_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+// Integer from "1234", "1,234", "1.2K" or "3M"; null when unrecognised
+export const parseCount = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+  }
+
+  const match = String(value ?? '').trim().toLowerCase().replace(/[,\s]/g, '').match(/^(\d+(?:\.\d+)?)([kmb])?\+?$/);
+  if (!match) {
+    return null;
+  }
+  return Math.round(parseFloat(match[1]) * (COUNT_SUFFIXES[match[2]] || 1));
+};
+
+// Compact display: 950, 1.2K, 3.4M
+export const formatCount = (count) => {
+  if (count === null || count === undefined || !Number.isFinite(count)) {
+    return '0';
+  }
+  for (const [suffix, size] of [['B', 1e9], ['M', 1e6], ['K', 1e3]]) {
+    if (count >= size) {
+      return `${parseFloat((count / size).toFixed(1))}${suffix}`;
+    }
+  }
+  return String(count);
+};
+
+// Date from any string Date understands; null when unrecognised
+export const parseDate = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+  const text = String(value ?? '').trim();
+  if (!text) {
+    return null;
+  }
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// "Oct 12, 2024"
+export const formatDate = (date) => {
+  if (!date) {
+    return '';
+  }
+  return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+};
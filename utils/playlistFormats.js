@@ -0,0 +1,233 @@
+import { element, xmlDeclaration } from './xml.js';
+
+// Playlist interchange formats: M3U8 (extended M3U), XSPF and the CMS's own JSON.
+// Exporters take a playlist with populated, ordered tracks. Parsers return
+// { title, description, entries } where each entry is a plain object with the
+// Track fields the format carries (title, author, audioUrl, durationSeconds, ...).
+
+export const PLAYLIST_FORMATS = ['m3u8', 'xspf', 'json'];
+
+export const PLAYLIST_CONTENT_TYPES = {
+  m3u8: 'audio/x-mpegurl; charset=utf-8',
+  xspf: 'application/xspf+xml; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+const XSPF_NAMESPACE = 'http://xspf.org/ns/0/';
+
+const exportableTracks = (playlist) => (playlist.tracks || []).filter(Boolean);
+
+// Strip line breaks so a value cannot start a new M3U directive
+const singleLine = (value = '') => String(value).replace(/[\r\n]+/g, ' ').trim();
+
+export const exportM3U = (playlist) => {
+  const lines = ['#EXTM3U'];
+  if (playlist.title) {
+    lines.push(`#PLAYLIST:${singleLine(playlist.title)}`);
+  }
+
+  for (const track of exportableTracks(playlist)) {
+    if (!track.audioUrl) continue;
+    const seconds = Number.isFinite(track.durationSeconds) ? Math.round(track.durationSeconds) : -1;
+    const name = [track.author, track.title].filter(Boolean).map(singleLine).join(' - ');
+    lines.push(`#EXTINF:${seconds},${name}`);
+    lines.push(singleLine(track.audioUrl));
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+export const exportXSPF = (playlist) => {
+  const tracks = exportableTracks(playlist).map(track => element('track', {}, [
+    track.audioUrl && element('location', {}, track.audioUrl),
+    track.title && element('title', {}, track.title),
+    track.author && element('creator', {}, track.author),
+    track.description && element('annotation', {}, track.description),
+    Number.isFinite(track.durationSeconds) && element('duration', {}, String(Math.round(track.durationSeconds * 1000))),
+    track.thumbnail && element('image', {}, track.thumbnail)
+  ]));
+
+  return xmlDeclaration + '\n' + element('playlist', { version: '1', xmlns: XSPF_NAMESPACE }, [
+    playlist.title && element('title', {}, playlist.title),
+    playlist.createdBy && element('creator', {}, playlist.createdBy),
+    playlist.description && element('annotation', {}, playlist.description),
+    playlist.thumbnail && element('image', {}, playlist.thumbnail),
+    element('trackList', {}, tracks.length > 0 ? tracks : null)
+  ]);
+};
+
+export const exportJSON = (playlist) => ({
+  version: 1,
+  title: playlist.title,
+  description: playlist.description,
+  thumbnail: playlist.thumbnail,
+  tags: playlist.tags || [],
+  exportedAt: new Date().toISOString(),
+  tracks: exportableTracks(playlist).map(track => ({
+    title: track.title,
+    author: track.author,
+    description: track.description,
+    audioUrl: track.audioUrl,
+    thumbnail: track.thumbnail,
+    durationSeconds: track.durationSeconds ?? null,
+    category: track.category,
+    releaseDate: track.releaseDate || null
+  }))
+});
+
+export const exportPlaylist = (playlist, format) => {
+  switch (format) {
+    case 'm3u8': return exportM3U(playlist);
+    case 'xspf': return exportXSPF(playlist);
+    default: return JSON.stringify(exportJSON(playlist), null, 2);
+  }
+};
+
+// "Author - Title" as written by most players in #EXTINF; a bare value is the title
+const splitDisplayName = (name = '') => {
+  const separator = name.indexOf(' - ');
+  if (separator === -1) {
+    return { title: name.trim() };
+  }
+  return { author: name.slice(0, separator).trim(), title: name.slice(separator + 3).trim() };
+};
+
+export const parseM3U = (text = '') => {
+  const result = { title: undefined, entries: [] };
+  let pending = {};
+
+  for (const rawLine of String(text).replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith('#PLAYLIST:')) {
+      result.title = line.slice('#PLAYLIST:'.length).trim();
+    } else if (line.startsWith('#EXTINF:')) {
+      // #EXTINF:<seconds> [attributes],<display name>
+      const info = line.slice('#EXTINF:'.length);
+      const comma = info.indexOf(',');
+      const seconds = parseFloat(comma === -1 ? info : info.slice(0, comma));
+      pending = {
+        ...(comma === -1 ? {} : splitDisplayName(info.slice(comma + 1))),
+        durationSeconds: Number.isFinite(seconds) && seconds >= 0 ? Math.round(seconds) : undefined
+      };
+    } else if (!line.startsWith('#')) {
+      result.entries.push({ ...pending, audioUrl: line });
+      pending = {};
+    }
+  }
+
+  return result;
+};
+
+const decodeXmlText = (value = '') => {
+  const cdataMatch = value.match(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/);
+  if (cdataMatch) {
+    return cdataMatch[1].trim();
+  }
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+};
+
+// Text of the first <name> child in a fragment of XML
+const childText = (xml, name) => {
+  const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+  return match ? decodeXmlText(match[1]) || undefined : undefined;
+};
+
+export const parseXSPF = (text = '') => {
+  const xml = String(text);
+  if (!/<playlist[\s>]/i.test(xml)) {
+    throw new Error('Not an XSPF document: missing <playlist> element');
+  }
+
+  const trackListStart = xml.search(/<trackList[\s>]/i);
+  const header = trackListStart === -1 ? xml : xml.slice(0, trackListStart);
+  const trackBlocks = xml.match(/<track(?:\s[^>]*)?>[\s\S]*?<\/track>/gi) || [];
+
+  return {
+    title: childText(header, 'title'),
+    description: childText(header, 'annotation'),
+    entries: trackBlocks.map((block) => {
+      const milliseconds = parseInt(childText(block, 'duration'), 10);
+      return {
+        audioUrl: childText(block, 'location'),
+        title: childText(block, 'title'),
+        author: childText(block, 'creator'),
+        description: childText(block, 'annotation'),
+        thumbnail: childText(block, 'image'),
+        durationSeconds: Number.isFinite(milliseconds) && milliseconds >= 0 ? Math.round(milliseconds / 1000) : undefined
+      };
+    })
+  };
+};
+
+// Entries that are not objects are passed on as they are, for the import to reject
+const isEntryObject = (track) => Boolean(track) && typeof track === 'object' && !Array.isArray(track);
+
+// Accepts the CMS's own export and JSPF (the JSON form of XSPF)
+export const parseJSONPlaylist = (input) => {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!data || typeof data !== 'object') {
+    throw new Error('JSON playlist must be an object');
+  }
+
+  if (data.playlist && Array.isArray(data.playlist.track)) {
+    return {
+      title: data.playlist.title,
+      description: data.playlist.annotation,
+      entries: data.playlist.track.map(track => !isEntryObject(track) ? track : ({
+        audioUrl: Array.isArray(track.location) ? track.location[0] : track.location,
+        title: track.title,
+        author: track.creator,
+        description: track.annotation,
+        thumbnail: track.image,
+        durationSeconds: Number.isFinite(track.duration) ? Math.round(track.duration / 1000) : undefined
+      }))
+    };
+  }
+
+  if (!Array.isArray(data.tracks)) {
+    throw new Error('JSON playlist must have a "tracks" array');
+  }
+
+  return {
+    title: data.title,
+    description: data.description,
+    tags: Array.isArray(data.tags) ? data.tags : undefined,
+    entries: data.tracks.map(track => !isEntryObject(track) ? track : ({
+      audioUrl: track.audioUrl,
+      title: track.title,
+      author: track.author,
+      description: track.description,
+      thumbnail: track.thumbnail,
+      durationSeconds: Number.isFinite(track.durationSeconds) ? track.durationSeconds : undefined,
+      category: track.category,
+      releaseDate: track.releaseDate || undefined
+    }))
+  };
+};
+
+// Guess the format of uploaded content when the client did not say
+export const detectPlaylistFormat = (content) => {
+  if (content && typeof content === 'object') return 'json';
+  const text = String(content || '').replace(/^\uFEFF/, '').trimStart();
+  if (text.startsWith('{')) return 'json';
+  if (text.startsWith('<')) return 'xspf';
+  return 'm3u8';
+};
+
+export const parsePlaylist = (content, format = detectPlaylistFormat(content)) => {
+  switch (format) {
+    case 'm3u8': return parseM3U(content);
+    case 'xspf': return parseXSPF(content);
+    default: return parseJSONPlaylist(content);
+  }
+};
@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import { element, cdata, xmlDeclaration, mimeTypeFromUrl } from './xml.js';
+
+// Namespace defined by the Podcast Index for podcast:guid values
+const PODCAST_GUID_NAMESPACE = 'ead4c236-bf58-58c6-a2c6-a6b28d128cb6';
+
+// Channel settings shared by every playlist feed; read lazily so dotenv has run
+const podcastSettings = () => ({
+  ownerName: process.env.PODCAST_OWNER_NAME || process.env.SITE_NAME || 'The Funnel Effect',
+  ownerEmail: process.env.PODCAST_OWNER_EMAIL || '',
+  category: process.env.PODCAST_CATEGORY || 'Health & Fitness',
+  subcategory: process.env.PODCAST_SUBCATEGORY || 'Medicine',
+  language: process.env.PODCAST_LANGUAGE || 'en',
+  explicit: process.env.PODCAST_EXPLICIT === 'true',
+  siteUrl: (process.env.SITE_URL || 'https://www.thefunneleffect.org').replace(/\/+$/, '')
+});
+
+// RFC 4122 version 5 UUID, as required for podcast:guid
+const uuidv5 = (name, namespace) => {
+  const namespaceBytes = Buffer.from(namespace.replace(/-/g, ''), 'hex');
+  const hash = crypto.createHash('sha1').update(Buffer.concat([namespaceBytes, Buffer.from(name)])).digest();
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+  const hex = hash.subarray(0, 16).toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// podcast:guid is derived from the feed URL without its scheme or trailing slash
+export const podcastGuid = (feedUrl) => uuidv5(feedUrl.replace(/^[a-z]+:\/\//i, '').replace(/\/+$/, ''), PODCAST_GUID_NAMESPACE);
+
+// itunes:duration accepts seconds or [HH:]MM:SS; anything else is dropped
+export const formatItunesDuration = (duration) => {
+  if (typeof duration === 'number' && Number.isFinite(duration)) {
+    return String(Math.round(duration));
+  }
+  const value = String(duration || '').trim();
+  return /^\d+(:[0-5]?\d){0,2}$/.test(value) ? value : null;
+};
+
+const parseDate = (value, fallback) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : new Date(fallback);
+};
+
+// Episodes that can be published: a track without audio has nothing to enclose
+export const episodesOf = (playlist) => (playlist.tracks || []).filter(track => track && track.audioUrl);
+
+// Check a playlist against the Apple Podcasts and Podcasting 2.0 requirements.
+// Returns a list of { level, field, message } problems; errors make directories reject the feed.
+export const validatePodcastFeed = (playlist) => {
+  const settings = podcastSettings();
+  const problems = [];
+  const error = (field, message) => problems.push({ level: 'error', field, message });
+  const warning = (field, message) => problems.push({ level: 'warning', field, message });
+
+  if (!playlist.isPublic) error('isPublic', 'Only public playlists can be published as a podcast');
+  if (!playlist.title) error('title', 'Podcast title is required');
+  if (!playlist.description) error('description', 'Podcast description is required');
+  if (!playlist.thumbnail) error('thumbnail', 'Podcast artwork (itunes:image) is required');
+  if (!settings.ownerEmail) warning('itunes:owner', 'Set PODCAST_OWNER_EMAIL so directories can verify ownership');
+
+  const tracks = playlist.tracks || [];
+  if (episodesOf(playlist).length === 0) {
+    error('tracks', 'A podcast needs at least one episode with audio');
+  }
+
+  tracks.forEach((track, index) => {
+    if (!track) {
+      return;
+    }
+    const field = `tracks[${index}]`;
+    if (!track.audioUrl) {
+      warning(field, `"${track.title || track._id}" has no audio and is left out of the feed`);
+      return;
+    }
+    if (!track.title) error(`${field}.title`, 'Episode title is required');
+    if (!formatItunesDuration(track.durationSeconds ?? track.duration)) warning(`${field}.duration`, 'Episode duration is missing or not in HH:MM:SS form');
+    if (!mimeTypeFromUrl(track.audioUrl, '').startsWith('audio/')) {
+      warning(`${field}.audioUrl`, 'Audio file extension is not a recognised audio type');
+    }
+  });
+
+  return problems;
+};
+
+// Render a playlist and its populated tracks as a podcast RSS feed.
+// `lengths` maps audio URLs to their byte size for the enclosure tags.
+export const buildPodcastFeed = ({ playlist, feedUrl, lengths = {} }) => {
+  const settings = podcastSettings();
+  const explicit = settings.explicit ? 'true' : 'false';
+  const episodes = episodesOf(playlist);
+  const author = playlist.createdBy || settings.ownerName;
+
+  const items = episodes.map((track, index) => {
+    const duration = formatItunesDuration(track.durationSeconds ?? track.duration);
+    return element('item', {}, [
+      element('title', {}, track.title),
+      element('description', {}, cdata(track.description || track.title), { raw: true }),
+      element('guid', { isPermaLink: 'false' }, track._id.toString()),
+      element('pubDate', {}, parseDate(track.releaseDate || track.date, track.createdAt).toUTCString()),
+      element('enclosure', {
+        url: track.audioUrl,
+        length: lengths[track.audioUrl] || 0,
+        type: mimeTypeFromUrl(track.audioUrl, 'audio/mpeg')
+      }),
+      element('itunes:title', {}, track.title),
+      track.author && element('itunes:author', {}, track.author),
+      duration && element('itunes:duration', {}, duration),
+      track.thumbnail && element('itunes:image', { href: track.thumbnail }),
+      element('itunes:episode', {}, String(index + 1)),
+      element('itunes:episodeType', {}, 'full'),
+      element('itunes:explicit', {}, explicit),
+      element('podcast:episode', {}, String(index + 1))
+    ]);
+  });
+
+  const channel = element('channel', {}, [
+    element('title', {}, playlist.title),
+    element('link', {}, settings.siteUrl),
+    element('description', {}, cdata(playlist.description || playlist.title), { raw: true }),
+    element('language', {}, settings.language),
+    element('atom:link', { href: feedUrl, rel: 'self', type: 'application/rss+xml' }),
+    element('lastBuildDate', {}, new Date(playlist.updatedAt || Date.now()).toUTCString()),
+    element('itunes:author', {}, author),
+    element('itunes:summary', {}, playlist.description || playlist.title),
+    element('itunes:type', {}, 'episodic'),
+    element('itunes:owner', {}, [
+      element('itunes:name', {}, settings.ownerName),
+      settings.ownerEmail && element('itunes:email', {}, settings.ownerEmail)
+    ]),
+    playlist.thumbnail && element('itunes:image', { href: playlist.thumbnail }),
+    playlist.thumbnail && element('image', {}, [
+      element('url', {}, playlist.thumbnail),
+      element('title', {}, playlist.title),
+      element('link', {}, settings.siteUrl)
+    ]),
+    element('itunes:category', { text: settings.category }, settings.subcategory
+      ? [element('itunes:category', { text: settings.subcategory })]
+      : null),
+    element('itunes:explicit', {}, explicit),
+    ...(playlist.tags || []).map(tag => element('category', {}, tag)),
+    element('podcast:guid', {}, podcastGuid(feedUrl)),
+    element('podcast:locked', settings.ownerEmail ? { owner: settings.ownerEmail } : {}, 'no'),
+    element('podcast:medium', {}, 'podcast'),
+    ...items
+  ]);
+
+  return xmlDeclaration + element('rss', {
+    version: '2.0',
+    'xmlns:atom': 'http://www.w3.org/2005/Atom',
+    'xmlns:itunes': 'http://www.itunes.com/dtds/podcast-1.0.dtd',
+    'xmlns:podcast': 'https://podcastindex.org/namespace/1.0'
+  }, [channel]);
+};
@@ -0,0 +1,100 @@
+// Escape user input for use inside a regular expression
+export const escapeRegExp = (value = '') => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercased search terms, ignoring quotes, negations and very short words
+export const tokenize = (value = '') => {
+  return String(value)
+    .toLowerCase()
+    .replace(/["']/g, ' ')
+    .split(/\s+/)
+    .map(term => term.replace(/^-+/, ''))
+    .filter(term => term.length > 1);
+};
+
+// Reduce rich text to plain text so snippets never cut through markup
+export const stripHtml = (value = '') => {
+  return String(value)
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Escape plain text for HTML so snippets can only ever contain the <mark> tags added here
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Excerpt around the first matching term, HTML-escaped, with every match wrapped in <mark>
+export const buildSnippet = (text, terms, radius = 80) => {
+  const plain = stripHtml(text);
+  if (!plain) {
+    return '';
+  }
+
+  const pattern = terms.length > 0
+    ? new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi')
+    : null;
+
+  const first = pattern ? plain.search(pattern) : -1;
+  const start = Math.max(0, first === -1 ? 0 : first - radius);
+  const end = Math.min(plain.length, (first === -1 ? 0 : first) + radius * 2);
+
+  // Splitting on the capturing pattern puts the matches at odd indexes
+  const excerpt = plain.slice(start, end)
+    .split(pattern || /(?!)/)
+    .map((part, index) => index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${excerpt}${end < plain.length ? '…' : ''}`;
+};
+
+// Edit distance between two words, bailing out once it exceeds `max`
+export const levenshtein = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Closest known word to a possibly misspelled term, or null if nothing is near enough
+export const closestWord = (term, vocabulary) => {
+  if (vocabulary.has(term)) {
+    return term;
+  }
+
+  const maxDistance = term.length <= 4 ? 1 : 2;
+  let best = null;
+  let bestDistance = maxDistance + 1;
+
+  for (const word of vocabulary) {
+    const distance = levenshtein(term, word, maxDistance);
+    if (distance < bestDistance) {
+      best = word;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+};
@@ -0,0 +1,32 @@
+// Browser and operating system named in a user agent, for listing signed-in devices.
+// Order matters: Edge and Opera also claim to be Chrome, and Chrome claims to be Safari.
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+const SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+const firstMatch = (list, userAgent) => list.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = firstMatch(BROWSERS, userAgent);
+  const system = firstMatch(SYSTEMS, userAgent);
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || userAgent.split(/[\s/]/)[0] || 'Unknown device';
+};
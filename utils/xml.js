@@ -0,0 +1,58 @@
+// Escape text for use in XML element content and attribute values
+export const escapeXml = (value = '') => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Wrap text in a CDATA section, splitting any terminator that appears inside it
+export const cdata = (value = '') => `<![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+// Render an element; attributes with null/undefined values are omitted.
+// Children may be a string (escaped unless `raw`), an array of rendered elements, or empty.
+export const element = (name, attributes = {}, children = null, { raw = false } = {}) => {
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+
+  if (children === null || children === undefined || (Array.isArray(children) && children.length === 0)) {
+    return `<${name}${attrs}/>`;
+  }
+
+  const content = Array.isArray(children)
+    ? children.filter(Boolean).join('')
+    : (raw ? String(children) : escapeXml(children));
+
+  return `<${name}${attrs}>${content}</${name}>`;
+};
+
+export const xmlDeclaration = '<?xml version="1.0" encoding="UTF-8"?>';
+
+// Best-effort MIME type from a media URL's file extension
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/x-m4a',
+  mp4: 'audio/mp4',
+  aac: 'audio/aac',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  opus: 'audio/opus',
+  wav: 'audio/wav',
+  flac: 'audio/flac'
+};
+
+export const mimeTypeFromUrl = (url = '', fallback = 'application/octet-stream') => {
+  const extension = String(url).split('?')[0].split('.').pop().toLowerCase();
+  return MIME_TYPES[extension] || fallback;
+};